@@ -0,0 +1,223 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * bitbucket.js is the Bitbucket Cloud provider of scm.js. It opens pull
+ * requests through the Bitbucket REST API, authenticated with the
+ * BITBUCKET_TOKEN access token or else with BITBUCKET_USERNAME and
+ * BITBUCKET_APP_PASSWORD. BITBUCKET_API_URL points it at a fake server.
+ * Bitbucket pull requests have no labels or assignees, so those are left
+ * out with a warning in the log.
+ */
+import axios from 'axios';
+
+const API_URL = process.env.BITBUCKET_API_URL || 'https://api.bitbucket.org/2.0';
+const TOKEN = process.env.BITBUCKET_TOKEN;
+const USERNAME = process.env.BITBUCKET_USERNAME;
+const APP_PASSWORD = process.env.BITBUCKET_APP_PASSWORD;
+
+/**
+ * Calls the Bitbucket API.
+ *
+ * @param {Object} config The axios request config, with url relative to the
+ *        API or absolute, as in the links of a page.
+ * @returns {Promise<Object>} The response data.
+ */
+const request = async (config) => {
+  const { data } = await axios.request({
+    ...config,
+    url: /^https?:/.test(config.url) ? config.url : `${API_URL}/${config.url}`,
+    ...(TOKEN
+      ? { headers: { Authorization: `Bearer ${TOKEN}` } }
+      : { auth: { username: USERNAME, password: APP_PASSWORD } }),
+  });
+  return data;
+};
+
+/**
+ * Calls the Bitbucket API for every page of a list.
+ *
+ * @param {string} url The url of the list, relative to the API.
+ * @param {Object} [params] The query parameters.
+ * @returns {Promise<Array<Object>>} The values of all pages.
+ */
+const paginate = async (url, params = {}) => {
+  const values = [];
+  let page = await request({ url, params: { ...params, pagelen: 50 } });
+  values.push(...page.values);
+
+  while (page.next) {
+    page = await request({ url: page.next });
+    values.push(...page.values);
+  }
+  return values;
+};
+
+const getRepositoryPath = ({ owner, name }) => `repositories/${owner}/${name}`;
+
+/**
+ * Gets the main branch of a repository on Bitbucket.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @returns {Promise<string>} The main branch, e.g. 'main'.
+ */
+const getDefaultBranch = async (repository) => {
+  const data = await request({ url: getRepositoryPath(repository) });
+  return data.mainbranch.name;
+};
+
+/**
+ * Requests reviews of a pull request, keeping its current reviewers. Owners
+ * are matched by nickname to the members of the workspace, so groups and
+ * email addresses are left out, with a warning. Failures are logged, not
+ * thrown, e.g. when an owner is the author of the pull request.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {number} number The ID of the pull request.
+ * @param {Array<string>} owners Users, e.g. 'user' or '@user', and groups.
+ */
+const requestReviewers = async (repository, number, owners) => {
+  const nicknames = owners.filter((name) => !name.includes('/') &&
+    (!name.includes('@') || name.startsWith('@'))).map((name) => name.replace(/^@/, ''));
+  const leftOut = owners.filter((name) => !nicknames.includes(name.replace(/^@/, '')));
+  if (leftOut.length > 0) {
+    console.log(`Bitbucket cannot request reviews of pull request ${number} ` +
+      `from groups or email addresses, leaving out ${leftOut.join(', ')}`);
+  }
+  if (nicknames.length === 0) {
+    return;
+  }
+
+  try {
+    const members = await paginate(`workspaces/${repository.owner}/members`);
+    const uuids = members
+      .filter(({ user }) => nicknames.includes(user.nickname))
+      .map(({ user }) => user.uuid);
+
+    const url = `${getRepositoryPath(repository)}/pullrequests/${number}`;
+    const pullRequest = await request({ url });
+    const reviewers = new Set([...pullRequest.reviewers.map(({ uuid }) => uuid), ...uuids]);
+    await request({
+      method: 'put',
+      url,
+      data: { title: pullRequest.title, reviewers: [...reviewers].map((uuid) => ({ uuid })) },
+    });
+  } catch (error) {
+    console.error(`Could not request reviews of pull request ${number} ` +
+      `from ${nicknames.join(', ')}:`, error.message);
+  }
+};
+
+/**
+ * Opens a pull request on Bitbucket, with reviewers. Labels and assignees
+ * are not set, since Bitbucket has none, and a warning is logged instead.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} branchName The branch to merge.
+ * @param {string} title The title of the pull request.
+ * @param {string} [body] The description of the pull request, defaults to the title.
+ * @param {Object} [options] { base, labels, assignees, reviewers } with the
+ *        branch to merge into, by default the main branch of the repository.
+ * @returns {Promise<Object>} The pull request, with its ID as number.
+ */
+const createPullRequest = async (repository, branchName, title, body = title, options = {}) => {
+  const { base, labels = [], assignees = [], reviewers = [] } = options;
+  const data = await request({
+    method: 'post',
+    url: `${getRepositoryPath(repository)}/pullrequests`,
+    data: {
+      title,
+      description: body,
+      source: { branch: { name: branchName } },
+      destination: { branch: { name: base || await getDefaultBranch(repository) } },
+    },
+  });
+
+  if (labels.length > 0 || assignees.length > 0) {
+    console.log(`Bitbucket pull requests have no labels or assignees, so pull request ${data.id} ` +
+      `is opened without labels ${labels.join(', ') || '-'} and assignees ${assignees.join(', ') || '-'}`);
+  }
+  await requestReviewers(repository, data.id, reviewers);
+  return { ...data, number: data.id };
+};
+
+/**
+ * Updates the title and description of a pull request on Bitbucket.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {number} number The ID of the pull request.
+ * @param {string} title The title of the pull request.
+ * @param {string} body The description of the pull request.
+ */
+const updatePullRequest = async (repository, number, title, body) => {
+  await request({
+    method: 'put',
+    url: `${getRepositoryPath(repository)}/pullrequests/${number}`,
+    data: { title, description: body },
+  });
+};
+
+/**
+ * Lists the open pull requests on Bitbucket whose branch starts with a prefix.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} branchPrefix Prefix of the branch names.
+ * @returns {Promise<Array<Object>>} The pull requests, [{ number, branch, base }].
+ */
+const listOpenPullRequests = async (repository, branchPrefix) => {
+  const pullRequests = await paginate(`${getRepositoryPath(repository)}/pullrequests`,
+    { state: 'OPEN' });
+
+  return pullRequests
+    .filter((pr) => pr.source.branch.name.startsWith(branchPrefix))
+    .map((pr) => ({ number: pr.id, branch: pr.source.branch.name, base: pr.destination.branch.name }));
+};
+
+/**
+ * Gets the IDs of the merged pull requests that a commit belongs to.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} commitId Commit SHA to resolve.
+ * @returns {Promise<Array<number>>} The IDs of the merged pull requests.
+ */
+const getMergedPullRequests = async (repository, commitId) => {
+  const pullRequests = await paginate(
+    `${getRepositoryPath(repository)}/commit/${commitId}/pullrequests`);
+
+  return pullRequests.filter((pr) => pr.state === 'MERGED').map((pr) => pr.id);
+};
+
+/**
+ * Gets the SHAs of the parent commits of a commit.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} commitId Commit SHA whose parents are needed.
+ * @returns {Promise<Array<string>>} SHAs of the parent commits.
+ */
+const getParentCommits = async (repository, commitId) => {
+  const data = await request({ url: `${getRepositoryPath(repository)}/commit/${commitId}` });
+  return data.parents.map(({ hash }) => hash);
+};
+
+export {
+  createPullRequest,
+  getDefaultBranch,
+  requestReviewers,
+  updatePullRequest,
+  listOpenPullRequests,
+  getMergedPullRequests,
+  getParentCommits,
+};
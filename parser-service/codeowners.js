@@ -0,0 +1,105 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Codeowners.js (module) reads the CODEOWNERS file of the IaC repository to
+ * find who owns the Terraform files a pull request changes, so that their
+ * review can be requested. It follows GitHub's rules: the file is looked up
+ * in .github/, the root and docs/, and the last pattern that matches a file
+ * decides its owners.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const CODEOWNERS_FILES = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Turns a CODEOWNERS pattern into a regular expression. Patterns follow
+ * .gitignore: a pattern with a slash other than at its end is relative to
+ * the root, otherwise it matches at any depth, and a pattern that names a
+ * directory matches everything in it. A wildcard in the last segment only
+ * matches within its directory, as in GitHub, so 'docs/*' does not match
+ * 'docs/a/b.tf'.
+ *
+ * @param {string} pattern E.g. '*.tf', '/modules/network/' or 'envs/**\/prod.tf'.
+ * @returns {RegExp} The regular expression, matched against paths relative
+ *          to the root.
+ */
+const patternToRegExp = (pattern) => {
+  const anchored = pattern.replace(/\/$/, '').includes('/');
+  const directory = pattern.endsWith('/');
+  const trimmed = pattern.replace(/^\//, '').replace(/\/$/, '');
+  const wildcard = /[*?]/.test(trimmed.split('/').pop());
+  const body = trimmed
+    .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+    .map((part) => ({
+      '**/': '(?:.*/)?',
+      '/**': '(?:/.*)?',
+      '**': '.*',
+      '*': '[^/]*',
+      '?': '[^/]',
+    }[part] ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${body}${directory ? '/.*' : wildcard ? '' : '(?:/.*)?'}$`);
+};
+
+/**
+ * Reads the CODEOWNERS file of a cloned repository.
+ *
+ * @param {string} repoPath The path of the cloned repository.
+ * @returns {Promise<Array<Object>>} The rules, [{ pattern, owners }], in the
+ *          order of the file, empty if the repository has no CODEOWNERS.
+ */
+const loadCodeOwners = async (repoPath) => {
+  for (const file of CODEOWNERS_FILES) {
+    const filePath = path.join(repoPath, file);
+    if (await fs.pathExists(filePath)) {
+      return (await fs.readFile(filePath, 'utf8'))
+        .split('\n')
+        .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+        .filter(Boolean)
+        .map((line) => {
+          const [pattern, ...owners] = line.split(/\s+/);
+          return { pattern: patternToRegExp(pattern), owners };
+        });
+    }
+  }
+  return [];
+};
+
+/**
+ * Finds the owners of files in a cloned repository.
+ *
+ * @param {string} repoPath The path of the cloned repository.
+ * @param {Array<string>} files The files, relative to the root.
+ * @returns {Promise<Array<string>>} The owners of any of the files, e.g.
+ *          '@user', '@org/team' or an email address.
+ */
+const getCodeOwners = async (repoPath, files) => {
+  const rules = await loadCodeOwners(repoPath);
+  const owners = new Set();
+  files.forEach((file) => {
+    const rule = [...rules].reverse().find(({ pattern }) => pattern.test(file));
+    (rule?.owners || []).forEach((owner) => owners.add(owner));
+  });
+  return [...owners];
+};
+
+export {
+  loadCodeOwners,
+  getCodeOwners,
+};
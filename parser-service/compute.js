@@ -0,0 +1,46 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * compute.js provides helper functions to work with the Compute Engine API
+ * such as listing the zones of a region.
+ */
+
+import { google } from 'googleapis';
+
+const compute = google.compute('v1');
+
+/**
+ * Lists the zones of regions.
+ *
+ * @param {string} project - The project to look the regions up in
+ * @param {Array<string>} regions - The regions, e.g. ['us-central1']
+ * @returns {Promise<Array<string>>} The zones, e.g. ['us-central1-a', 'us-central1-b']
+ */
+const listZones = async (project, regions) => {
+  const auth = new google.auth.GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+  });
+
+  const results = await Promise.all(regions.map(region =>
+    compute.regions.get({ auth, project, region })));
+
+  return results
+    .flatMap(({ data }) => (data.zones || []).map(zone => zone.split('/').pop()))
+    .sort();
+};
+
+export { listZones };
@@ -21,56 +21,142 @@
  * loop.
  */
 
-import { Firestore } from '@google-cloud/firestore';
+import { Firestore, FieldValue } from '@google-cloud/firestore';
 
 const firestore = new Firestore();
 
 /**
- * Create a record in the database (Firestore) for the created commit.
+ * Returns the database (Firestore) document of a pull request.
  *
- * @param {string} repoName - Name of the repo in github.com:<account>/<repo> format
- * @param {string} commitID - Short SHA for the commit
- * @param {Array<Object>} recommendations - List of recommendation objects containing an id and an etag
+ * @param {string} repoName - Name of the repo
+ * @param {number} pullRequestNumber - Number of the pull request
+ * @returns {DocumentReference} The document
+ */
+const getPullRequestDocument = (repoName, pullRequestNumber) =>
+  firestore.doc(`applied_recommendations/${repoName}-pr-${pullRequestNumber}`);
+
+/**
+ * Reduces claimed recommendations to what is needed to describe them again
+ * when their pull request is updated. Firestore rejects undefined values, so
+ * those are left out, and the raw recommendation is kept as JSON.
+ *
+ * @param {Array<Object>} recommendations - The claimed recommendations
+ * @returns {Array<Object>} The records, [{ id, etag, target, changes, warnings, evidence,
+ *          details, raw }]
+ */
+export const toClaimRecords = (recommendations) => JSON.parse(JSON.stringify(
+  recommendations.map(({ id, etag, target, changes, warnings, evidence, details, raw }) => ({
+    id, etag, target, changes, warnings, evidence, details,
+    raw: raw && typeof raw !== 'string' ? JSON.stringify(raw) : raw,
+  }))));
+
+/**
+ * Create a record in the database (Firestore) for the created pull request.
+ *
+ * @param {string} repoName - Name of the repo
+ * @param {Object} pullRequest - The pull request: { number, branch, baseBranch, headSha, targets }
+ *        with the branch it is to be merged into, the full SHA of the commit
+ *        the pull request was opened for and the resources its
+ *        recommendations target
+ * @param {Array<Object>} recommendations - List of claimed recommendation objects containing an
+ *        id, an etag and the changes, warnings and evidence described in the pull request
  * @param {boolean} stub - Written to the DB so the next stage knows it needs to mock the call to the Recommender API
  * @returns {Promise<void>}
  */
-export const createCommit = async (repoName, commitID, recommendations, stub) => {
+export const createPullRequest = async (repoName, pullRequest, recommendations, stub) => {
   try {
     const recommendationIDs = recommendations.map(r => r.id);
     const recommendationEtags = recommendations.map(r => r.etag);
-    const uniqueID = `${repoName}-${commitID}`;
-    const document = firestore.doc(`applied_recommendations/${uniqueID}`);
+    const document = getPullRequestDocument(repoName, pullRequest.number);
     await document.set({
-      commitID,
       repoName,
+      pullRequestNumber: pullRequest.number,
+      branch: pullRequest.branch,
+      baseBranch: pullRequest.baseBranch || null,
+      headSha: pullRequest.headSha,
+      targets: pullRequest.targets || [],
       recommendationIDs,
       recommendationEtags,
+      claims: toClaimRecords(recommendations),
       stub,
       status: 'Pull Request Created'
     });
   } catch (error) {
-    console.error(`Failed to create commit in Firestore for ${repoName}:`, error);
+    console.error(`Failed to create pull request in Firestore for ${repoName}:`, error);
   }
 };
 
 /**
- * Gets the commit/record from the database.
+ * Gets the record of a pull request from the database. Records of stub runs
+ * are left out, as their recommendations do not exist in the Recommender API,
+ * unless stub is set, in which case only they are returned, so that a stub
+ * run finds the pull requests of earlier stub runs.
  *
- * @param {string} repoName - Name of the repo in github.com:<account>/<repo> format
- * @param {string} commitID - Short SHA for the commit
- * @returns {Promise<Array<string>>} - A list of recommendation IDs from Firestore
+ * @param {string} repoName - Name of the repo
+ * @param {number} pullRequestNumber - Number of the pull request
+ * @param {Object} [options] - { stub } to get the records of stub runs
+ * @returns {Promise<Object|null>} - The record with recommendationIDs, recommendationEtags
+ *          and targets, or null
  */
-export const getCommit = async (repoName, commitID) => {
+export const getPullRequest = async (repoName, pullRequestNumber, { stub = false } = {}) => {
   try {
-    const uniqueID = `${repoName}-${commitID}`;
-    const document = firestore.doc(`applied_recommendations/${uniqueID}`);
-    const doc = await document.get();
-    if (doc.exists && !doc.data().stub) {
-      return doc.data().recommendationIDs;
+    const doc = await getPullRequestDocument(repoName, pullRequestNumber).get();
+    if (doc.exists && Boolean(doc.data().stub) === stub) {
+      return doc.data();
     }
-    return [];
+    return null;
+  } catch (error) {
+    console.error(`Failed to get pull request from Firestore for ${repoName}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Updates the record of a pull request in the database (Firestore), e.g.
+ * with the outcome of the CI/CD build that rolled it out.
+ *
+ * @param {string} repoName - Name of the repo
+ * @param {number} pullRequestNumber - Number of the pull request
+ * @param {Object} fields - The fields to set, e.g. { status, logUrl }
+ * @returns {Promise<void>}
+ */
+export const updatePullRequest = async (repoName, pullRequestNumber, fields) => {
+  try {
+    await getPullRequestDocument(repoName, pullRequestNumber).update(fields);
   } catch (error) {
-    console.error(`Failed to get commit from Firestore for ${repoName}:`, error);
+    console.error(`Failed to update pull request in Firestore for ${repoName}:`, error);
+  }
+};
+
+/**
+ * Adds resources to the suppression list of a repo, so that recommendations
+ * for them are not proposed again.
+ *
+ * @param {string} repoName - Name of the repo
+ * @param {Array<string>} targets - The resources, as returned by handlers.getTarget
+ * @returns {Promise<void>}
+ */
+export const suppressTargets = async (repoName, targets) => {
+  try {
+    await firestore.doc(`suppressed_targets/${repoName}`)
+      .set({ targets: FieldValue.arrayUnion(...targets) }, { merge: true });
+  } catch (error) {
+    console.error(`Failed to suppress targets in Firestore for ${repoName}:`, error);
+  }
+};
+
+/**
+ * Gets the suppression list of a repo.
+ *
+ * @param {string} repoName - Name of the repo
+ * @returns {Promise<Array<string>>} - The suppressed resources
+ */
+export const getSuppressedTargets = async (repoName) => {
+  try {
+    const doc = await firestore.doc(`suppressed_targets/${repoName}`).get();
+    return doc.exists ? doc.data().targets || [] : [];
+  } catch (error) {
+    console.error(`Failed to get suppressed targets from Firestore for ${repoName}:`, error);
     return [];
   }
-};
\ No newline at end of file
+};
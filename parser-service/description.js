@@ -0,0 +1,223 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * description.js builds the Markdown descriptions of the pull requests opened
+ * by the service, so that reviewers can see why each change is proposed.
+ */
+
+// GitHub rejects pull request descriptions longer than 65536 characters
+const MAX_DESCRIPTION_LENGTH = 60000;
+
+/**
+ * Escapes a value for a Markdown table cell.
+ *
+ * @param {*} value - The value
+ * @returns {string} The cell, '-' if there is no value
+ */
+const cell = (value) => (value === undefined || value === null || value === ''
+  ? '-'
+  : String(value).replace(/\|/g, '\\|').replace(/\n/g, ' '));
+
+const code = (value) => (value === undefined || value === null || value === '' ? '-' : `\`${cell(value)}\``);
+
+/**
+ * Formats a monthly cost, e.g. '-$12.50 USD/month' for savings.
+ *
+ * @param {Object} [monthlyCost] - { amount, currencyCode }
+ * @returns {string} The cost, '-' if there is none
+ */
+const formatCost = (monthlyCost) => {
+  if (!monthlyCost) {
+    return '-';
+  }
+  const { amount, currencyCode } = monthlyCost;
+  const formatted = new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currencyCode,
+    signDisplay: 'exceptZero',
+  }).format(amount);
+  return `${formatted} ${currencyCode}/month`;
+};
+
+/**
+ * Returns the short ID of a recommendation, the last part of its name.
+ *
+ * @param {string} id - The recommendation name
+ * @returns {string} The ID
+ */
+const shortID = (id) => String(id).split('/').pop();
+
+/**
+ * Returns the values a claimed recommendation changes from and to, taken
+ * from the recommendation or, failing that, from the changes made to the
+ * Terraform files.
+ *
+ * @param {Object} claim - The claimed recommendation
+ * @returns {Array<string>} [current, recommended]
+ */
+const getValues = ({ details = {}, changes = [] }) => {
+  const [change = {}] = changes;
+  const recommended = details.recommended ??
+    (change.removed ? 'remove' : change.commentedOut ? 'comment out' : change.added ? 'add' : change.to);
+  return [details.current ?? change.from, recommended];
+};
+
+/**
+ * Builds the table of the resources that are changed, with one row per
+ * claimed recommendation.
+ *
+ * @param {Array<Object>} claims - The claimed recommendations, other than IAM
+ * @returns {string} The table in Markdown
+ */
+const describeResources = (claims) => [
+  '| Resource | Current | Recommended | Monthly cost | Recommendation |',
+  '| --- | --- | --- | --- | --- |',
+  ...claims.map((claim) => {
+    const [current, recommended] = getValues(claim);
+    return `| ${code(claim.target || claim.resource)} | ${code(current)} | ${code(recommended)} ` +
+      `| ${formatCost(claim.details?.monthlyCost)} | ${code(shortID(claim.id))} |`;
+  }),
+].join('\n');
+
+/**
+ * Builds the table of the IAM bindings that are changed, with the permissions
+ * the member was granted and used over the observation period.
+ *
+ * @param {Array<Object>} claims - The claimed IAM recommendations
+ * @returns {string} The table in Markdown
+ */
+const describeIAMBindings = (claims) => [
+  '| Member | Resource | Current role | Recommended roles | Used / granted permissions | Recommendation |',
+  '| --- | --- | --- | --- | --- | --- |',
+  ...claims.map(({ id, target, details }) => {
+    const { member, role, adds = [], permissions } = details;
+    const resource = String(target || '').split(' ')[0];
+    const usage = permissions
+      ? `${permissions.used ?? '?'} / ${permissions.granted}`
+      : '-';
+    return `| ${code(member)} | ${code(resource)} | ${code(role)} ` +
+      `| ${adds.length > 0 ? adds.map(code).join(', ') : 'none'} | ${usage} | ${code(shortID(id))} |`;
+  }),
+].join('\n');
+
+/**
+ * Builds the collapsible section with a raw recommendation.
+ *
+ * @param {Object} claim - The claimed recommendation
+ * @returns {string} The section in Markdown
+ */
+const describeRaw = ({ id, raw }) => {
+  const json = typeof raw === 'string' ? raw : JSON.stringify(raw, null, 2);
+  return `<details>\n<summary>Recommendation ${shortID(id)}</summary>\n\n` +
+    `\`\`\`json\n${json}\n\`\`\`\n</details>`;
+};
+
+/**
+ * Builds the pull request description from the claimed recommendations: a
+ * table per resource with the current and recommended values and the
+ * monthly cost projection, a table of IAM bindings with their permission
+ * usage, the changes that were made to each file, any warnings raised while
+ * applying them and the evidence the recommendations give, such as how long
+ * a resource has been idle. Parents whose recommendations could not be
+ * fetched are listed as warnings too, and the recommendations the repo's
+ * policy skipped with the rule that matched. The raw recommendations follow
+ * in collapsible sections, as far as the length limit allows.
+ *
+ * @param {string} summary - The first line of the description
+ * @param {Array<Object>} claims - The claimed recommendations, with their
+ *        details and raw recommendation as listed by the recommender module
+ * @param {Array<Object>} [failures] - The parents that failed, [{ parent, location, error }]
+ * @param {Array<Object>} [skippedByPolicy] - The skipped recommendations, [{ id, target, rule, reason }]
+ * @returns {string} The description in Markdown
+ */
+const describeChanges = (summary, claims, failures = [], skippedByPolicy = []) => {
+  const changes = new Set();
+  const warnings = new Set();
+  const evidence = new Set();
+  claims.forEach(reco => {
+    (reco.changes || []).forEach(({ file, symbol, from, to, removed, commentedOut, added }) => {
+      if (removed || commentedOut || added) {
+        const action = removed ? 'removed' : commentedOut ? 'commented out' : 'added';
+        changes.add(`- \`${file}\`: \`${symbol}\` ${action}`);
+      } else {
+        changes.add(`- \`${file}\`: \`${symbol}\` changed from \`${from}\` to \`${to}\``);
+      }
+    });
+    (reco.warnings || []).forEach(warning => warnings.add(`- ${warning}`));
+    (reco.evidence || []).forEach(line => evidence.add(`- ${line}`));
+  });
+  failures.forEach(({ parent, location, error }) => warnings.add(
+    `- Recommendations for \`${parent}\` in \`${location}\` could not be fetched: ${error}`));
+
+  // A recommendation can be claimed once per binding it changes
+  const recommendations = [...new Map(claims.map(claim => [claim.id, claim])).values()];
+  const iamClaims = recommendations.filter(({ details }) => details?.member);
+  const resourceClaims = recommendations.filter(({ details }) => !details?.member);
+
+  let description = summary;
+  const costs = recommendations.map(({ details }) => details?.monthlyCost).filter(Boolean);
+  if (costs.length > 0 && costs.every(({ currencyCode }) => currencyCode === costs[0].currencyCode)) {
+    const amount = costs.reduce((sum, cost) => sum + cost.amount, 0);
+    description += `\n\nEstimated cost impact: ${formatCost({ amount, currencyCode: costs[0].currencyCode })}`;
+  }
+  const justifications = new Set(recommendations
+    .map(({ details }) => details?.description)
+    .filter(Boolean));
+  if (justifications.size > 0) {
+    description += `\n\n### Why\n${[...justifications].map(line => `- ${line}`).join('\n')}`;
+  }
+  if (resourceClaims.length > 0) {
+    description += `\n\n### Resources\n${describeResources(resourceClaims)}`;
+  }
+  if (iamClaims.length > 0) {
+    description += `\n\n### IAM bindings\n${describeIAMBindings(iamClaims)}`;
+  }
+  if (changes.size > 0) {
+    description += `\n\n### Changes\n${[...changes].join('\n')}`;
+  }
+  if (warnings.size > 0) {
+    description += `\n\n### Warnings\n${[...warnings].join('\n')}`;
+  }
+  if (evidence.size > 0) {
+    description += `\n\n### Evidence\n${[...evidence].join('\n')}`;
+  }
+  if (skippedByPolicy.length > 0) {
+    description += `\n\n### Skipped by policy\n${skippedByPolicy.map(({ id, target, rule, reason }) =>
+      `- \`${target || id}\`: rule \`${rule}\` matched, ${reason}`).join('\n')}`;
+  }
+
+  const raws = recommendations.filter(({ raw }) => raw).map(describeRaw);
+  if (raws.length > 0) {
+    let section = '\n\n### Raw recommendations';
+    // Room for the note on the ones left out
+    const note = `\n\n${raws.length} more left out for length.`.length;
+    const omitted = raws.filter((raw) => {
+      if (description.length + section.length + raw.length + 2 + note > MAX_DESCRIPTION_LENGTH) {
+        return true;
+      }
+      section += `\n\n${raw}`;
+      return false;
+    });
+    if (omitted.length > 0) {
+      section += `\n\n${omitted.length} more left out for length.`;
+    }
+    description += section;
+  }
+  return description;
+};
+
+export { describeChanges };
@@ -16,63 +16,239 @@
 
  /**
  * github.js uses the Octokit library to invoke GitHub specific tasks. It is
- * used to create a pull request in GitHub.
+ * the GitHub provider of scm.js, used to create a pull request in GitHub.
+ * GITHUB_API_URL points it at GitHub Enterprise or a fake server.
  */
+ import crypto from 'crypto';
  import { Octokit } from '@octokit/rest';
 
  // Initialize Octokit with GitHub Personal Access Token
  const octokit = new Octokit({
    auth: process.env.GITHUB_PAT,
+   ...(process.env.GITHUB_API_URL ? { baseUrl: process.env.GITHUB_API_URL } : {}),
  });
  
- // Helper function to destructure repo name to [owner, repo]
- const getRepoComponents = (repoName) => {
-   const [ownerPart, repoPart] = repoName.split('/');
-   const owner = ownerPart.split(':')[1];
-   const repo = repoPart.split('.')[0];
-   return { owner, repo };
- };
+ const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
+
+ // Helper function to destructure a repository of scm.js to { owner, repo }
+ const getRepoComponents = (repository) => ({ owner: repository.owner, repo: repository.name });
  
  /**
-  * Create a pull request on GitHub.
-  * @param {string} repoName - Full repository name as 'github.com:<account>/<repo>'.
+  * Create a pull request on GitHub, with labels, assignees and reviewers.
+  * Labels that do not exist yet are created. A reviewer that cannot be
+  * requested, such as the author of the pull request, does not fail it.
+  * @param {Object} repository - The repository, see scm.getRepository.
   * @param {string} branchName - Name of the branch for which PR will be created.
-  * @param {string} body - Description for the pull request.
+  * @param {string} title - Title for the pull request.
+  * @param {string} [body] - Description for the pull request, defaults to the title.
+  * @param {Object} [options] - { base, labels, assignees, reviewers } with the
+  *        branch to merge into, by default the default branch of the repository.
+  * @returns {Promise<Object>} - The created pull request, with its number.
   */
- const createPullRequest = async (repoName, branchName, body) => {
-   const { owner, repo } = getRepoComponents(repoName);
-   await octokit.pulls.create({
+ const createPullRequest = async (repository, branchName, title, body = title, options = {}) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const { base, labels = [], assignees = [], reviewers = [] } = options;
+   const { data } = await octokit.pulls.create({
      owner,
      repo,
-     title: body,
+     title,
      head: branchName,
-     base: 'master',
+     base: base || await getDefaultBranch(repository),
      body,
    });
+
+   if (labels.length > 0) {
+     await octokit.issues.addLabels({ owner, repo, issue_number: data.number, labels });
+   }
+   if (assignees.length > 0) {
+     await octokit.issues.addAssignees({ owner, repo, issue_number: data.number, assignees });
+   }
+   await requestReviewers(repository, data.number, reviewers);
+   return data;
+ };
+
+ /**
+  * Gets the default branch of a repository on GitHub.
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @returns {Promise<string>} - The default branch, e.g. 'main'.
+  */
+ const getDefaultBranch = async (repository) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const { data } = await octokit.repos.get({ owner, repo });
+   return data.default_branch;
+ };
+
+ /**
+  * Request reviews of a pull request on GitHub. Owners as written in
+  * CODEOWNERS are accepted: '@org/team' requests the team and email addresses,
+  * which cannot be requested, are left out with a warning. Failures are
+  * logged, not thrown.
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {number} pullNumber - Number of the pull request.
+  * @param {Array<string>} owners - Users, e.g. 'user' or '@user', and teams.
+  */
+ const requestReviewers = async (repository, pullNumber, owners) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const handles = owners.filter(name => !name.includes('@') || name.startsWith('@'))
+     .map(name => name.replace(/^@/, ''));
+   const reviewers = [...new Set(handles.filter(name => !name.includes('/')))];
+   const teamReviewers = [...new Set(handles.filter(name => name.includes('/'))
+     .map(name => name.split('/')[1]))];
+   const leftOut = owners.filter(name => name.includes('@') && !name.startsWith('@'));
+   if (leftOut.length > 0) {
+     console.log(`GitHub cannot request reviews of pull request ${pullNumber} ` +
+       `from email addresses, leaving out ${leftOut.join(', ')}`);
+   }
+   if (reviewers.length === 0 && teamReviewers.length === 0) {
+     return;
+   }
+
+   try {
+     await octokit.pulls.requestReviewers({
+       owner,
+       repo,
+       pull_number: pullNumber,
+       reviewers,
+       team_reviewers: teamReviewers,
+     });
+   } catch (error) {
+     console.error(`Could not request reviews of pull request ${pullNumber} ` +
+       `from ${[...reviewers, ...teamReviewers].join(', ')}:`, error.message);
+   }
+ };
+ 
+ /**
+  * Update the title and description of a pull request on GitHub.
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {number} pullNumber - Number of the pull request.
+  * @param {string} title - Title for the pull request.
+  * @param {string} body - Description for the pull request.
+  */
+ const updatePullRequest = async (repository, pullNumber, title, body) => {
+   const { owner, repo } = getRepoComponents(repository);
+   await octokit.pulls.update({
+     owner,
+     repo,
+     pull_number: pullNumber,
+     title,
+     body,
+   });
+ };
+ 
+ /**
+  * Lists the open pull requests on GitHub whose branch starts with a prefix,
+  * such as the pull requests opened by the service.
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {string} branchPrefix - Prefix of the branch names.
+  * @returns {Promise<Array<Object>>} - The pull requests, [{ number, branch, base }]
+  *          with the branch they are to be merged into.
+  */
+ const listOpenPullRequests = async (repository, branchPrefix) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const pullRequests = await octokit.paginate(octokit.pulls.list, {
+     owner,
+     repo,
+     state: 'open',
+     per_page: 100,
+   });
+
+   return pullRequests
+     .filter(pr => pr.head.ref.startsWith(branchPrefix))
+     .map(pr => ({ number: pr.number, branch: pr.head.ref, base: pr.base.ref }));
  };
  
  /**
-  * Gets the Short SHAs for the parent commits of this specific commits. This
-  * is used to identify whether the current commit had any parent that was
-  * associated to applied recommendations
+  * Gets the numbers of the merged pull requests that a commit belongs to. This
+  * resolves the commit that triggered a build to the pull requests whose
+  * applied recommendations it rolls out, whether they were merged with a
+  * merge commit, squashed or rebased.
   *
-  * @param {string} repoName - Full repository name as 'github.com:<account>/<repo>'.
-  * @param {string} commitId - Commit SHA for which parent commits are needed.
-  * @returns {Promise<Array<string>>} - Array of short SHAs of parent commits.
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {string} commitId - Commit SHA to resolve.
+  * @returns {Promise<Array<number>>} - Numbers of the merged pull requests.
   */
- const getParentCommits = async (repoName, commitId) => {
-   const { owner, repo } = getRepoComponents(repoName);
-   const { data: commitData } = await octokit.git.getCommit({
+ const getMergedPullRequests = async (repository, commitId) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const { data: pullRequests } = await octokit.repos.listPullRequestsAssociatedWithCommit({
      owner,
      repo,
      commit_sha: commitId,
    });
+
+   return pullRequests.filter(pr => pr.merged_at).map(pr => pr.number);
+ };
  
-   return commitData?.parents?.map(parent => parent.sha.substr(0, 7)) || [];
+ /**
+  * Gets the SHAs of the parent commits of a commit. A merge commit has more
+  * than one.
+  *
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {string} commitId - Commit SHA whose parents are needed.
+  * @returns {Promise<Array<string>>} - SHAs of the parent commits.
+  */
+ const getParentCommits = async (repository, commitId) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const { data } = await octokit.git.getCommit({
+     owner,
+     repo,
+     commit_sha: commitId,
+   });
+
+   return data.parents.map(parent => parent.sha);
+ };
+ 
+ /**
+  * Gets the comment a user left when closing a pull request: their last
+  * comment on it up to the time it was closed.
+  *
+  * @param {Object} repository - The repository, see scm.getRepository.
+  * @param {number} pullNumber - Number of the pull request.
+  * @param {string} login - The user who closed it.
+  * @param {string} closedAt - When it was closed, as an ISO 8601 timestamp.
+  * @returns {Promise<string|undefined>} - The text of the comment, if any.
+  */
+ const getClosingComment = async (repository, pullNumber, login, closedAt) => {
+   const { owner, repo } = getRepoComponents(repository);
+   const comments = await octokit.paginate(octokit.issues.listComments, {
+     owner,
+     repo,
+     issue_number: pullNumber,
+     per_page: 100,
+   });
+
+   return comments
+     .filter(comment => comment.user?.login === login && comment.created_at <= closedAt)
+     .pop()?.body;
+ };
+
+ /**
+  * Verifies that a webhook delivery comes from GitHub: its
+  * X-Hub-Signature-256 header must be the HMAC of the payload keyed with the
+  * webhook secret.
+  *
+  * @param {Buffer} payload - The raw request body.
+  * @param {string} signature - The X-Hub-Signature-256 header, 'sha256=<hex>'.
+  * @returns {boolean} - Whether the signature is valid.
+  */
+ const verifyWebhookSignature = (payload, signature) => {
+   if (!WEBHOOK_SECRET || !payload || !signature) {
+     return false;
+   }
+   const expected = Buffer.from(
+     `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(payload).digest('hex')}`);
+   const actual = Buffer.from(signature);
+   return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
  };
  
  export {
    createPullRequest,
+   getDefaultBranch,
+   requestReviewers,
+   updatePullRequest,
+   listOpenPullRequests,
+   getMergedPullRequests,
    getParentCommits,
+   getClosingComment,
+   verifyWebhookSignature,
  };
  
\ No newline at end of file
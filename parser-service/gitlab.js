@@ -0,0 +1,225 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * gitlab.js is the GitLab provider of scm.js. It opens merge requests through
+ * the GitLab REST API, authenticated with the GITLAB_TOKEN access token.
+ * GITLAB_API_URL points it at a self-managed instance or a fake server. Merge
+ * requests are numbered by their iid, the number shown in GitLab.
+ */
+import axios from 'axios';
+
+const API_URL = process.env.GITLAB_API_URL || 'https://gitlab.com/api/v4';
+const TOKEN = process.env.GITLAB_TOKEN;
+
+/**
+ * Calls the GitLab API.
+ *
+ * @param {Object} config The axios request config, with url relative to the API.
+ * @returns {Promise<Object>} The axios response.
+ */
+const request = (config) => axios.request({
+  ...config,
+  url: `${API_URL}/${config.url}`,
+  headers: { 'PRIVATE-TOKEN': TOKEN },
+});
+
+/**
+ * Calls the GitLab API for every page of a list.
+ *
+ * @param {string} url The url of the list, relative to the API.
+ * @param {Object} [params] The query parameters.
+ * @returns {Promise<Array<Object>>} The items of all pages.
+ */
+const paginate = async (url, params = {}) => {
+  const items = [];
+  let page = 1;
+
+  do {
+    const { data, headers } = await request({ url, params: { ...params, per_page: 100, page } });
+    items.push(...data);
+    page = Number(headers['x-next-page']);
+  } while (page);
+
+  return items;
+};
+
+const getProjectPath = ({ owner, name }) => `projects/${encodeURIComponent(`${owner}/${name}`)}`;
+
+/**
+ * Looks up the IDs of GitLab users, which the API takes for assignees and
+ * reviewers. Users that do not exist are left out.
+ *
+ * @param {Array<string>} usernames The usernames, with or without a leading '@'.
+ * @returns {Promise<Array<number>>} The user IDs.
+ */
+const getUserIDs = async (usernames) => {
+  const users = await Promise.all(usernames.map(async (username) => {
+    const { data } = await request({ url: 'users', params: { username: username.replace(/^@/, '') } });
+    if (data.length === 0) {
+      console.log(`GitLab user ${username} not found`);
+    }
+    return data[0]?.id;
+  }));
+  return users.filter((id) => id !== undefined);
+};
+
+/**
+ * Gets the default branch of a project on GitLab.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @returns {Promise<string>} The default branch, e.g. 'main'.
+ */
+const getDefaultBranch = async (repository) => {
+  const { data } = await request({ url: getProjectPath(repository) });
+  return data.default_branch;
+};
+
+/**
+ * Requests reviews of a merge request, keeping its current reviewers. Owners
+ * as written in CODEOWNERS are accepted, but only users can review on GitLab,
+ * so groups and email addresses are left out, with a warning. Failures are
+ * logged, not thrown.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {number} number The iid of the merge request.
+ * @param {Array<string>} owners Users, e.g. 'user' or '@user', and groups.
+ */
+const requestReviewers = async (repository, number, owners) => {
+  const usernames = owners.filter((name) => !name.includes('/') &&
+    (!name.includes('@') || name.startsWith('@')));
+  const leftOut = owners.filter((name) => !usernames.includes(name));
+  if (leftOut.length > 0) {
+    console.log(`GitLab cannot request reviews of merge request ${number} ` +
+      `from groups or email addresses, leaving out ${leftOut.join(', ')}`);
+  }
+  if (usernames.length === 0) {
+    return;
+  }
+
+  try {
+    const url = `${getProjectPath(repository)}/merge_requests/${number}`;
+    const { data } = await request({ url });
+    const reviewerIDs = new Set([
+      ...(data.reviewers || []).map(({ id }) => id),
+      ...await getUserIDs(usernames),
+    ]);
+    await request({ method: 'put', url, data: { reviewer_ids: [...reviewerIDs] } });
+  } catch (error) {
+    console.error(`Could not request reviews of merge request ${number} ` +
+      `from ${usernames.join(', ')}:`, error.message);
+  }
+};
+
+/**
+ * Opens a merge request on GitLab, with labels, assignees and reviewers.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} branchName The branch to merge.
+ * @param {string} title The title of the merge request.
+ * @param {string} [body] The description of the merge request, defaults to the title.
+ * @param {Object} [options] { base, labels, assignees, reviewers } with the
+ *        branch to merge into, by default the default branch of the project.
+ * @returns {Promise<Object>} The merge request, with its iid as number.
+ */
+const createPullRequest = async (repository, branchName, title, body = title, options = {}) => {
+  const { base, labels = [], assignees = [], reviewers = [] } = options;
+  const { data } = await request({
+    method: 'post',
+    url: `${getProjectPath(repository)}/merge_requests`,
+    data: {
+      source_branch: branchName,
+      target_branch: base || await getDefaultBranch(repository),
+      title,
+      description: body,
+      labels: labels.join(','),
+      assignee_ids: await getUserIDs(assignees),
+    },
+  });
+
+  await requestReviewers(repository, data.iid, reviewers);
+  return { ...data, number: data.iid };
+};
+
+/**
+ * Updates the title and description of a merge request on GitLab.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {number} number The iid of the merge request.
+ * @param {string} title The title of the merge request.
+ * @param {string} body The description of the merge request.
+ */
+const updatePullRequest = async (repository, number, title, body) => {
+  await request({
+    method: 'put',
+    url: `${getProjectPath(repository)}/merge_requests/${number}`,
+    data: { title, description: body },
+  });
+};
+
+/**
+ * Lists the open merge requests on GitLab whose branch starts with a prefix.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} branchPrefix Prefix of the branch names.
+ * @returns {Promise<Array<Object>>} The merge requests, [{ number, branch, base }].
+ */
+const listOpenPullRequests = async (repository, branchPrefix) => {
+  const mergeRequests = await paginate(`${getProjectPath(repository)}/merge_requests`,
+    { state: 'opened' });
+
+  return mergeRequests
+    .filter((mr) => mr.source_branch.startsWith(branchPrefix))
+    .map((mr) => ({ number: mr.iid, branch: mr.source_branch, base: mr.target_branch }));
+};
+
+/**
+ * Gets the iids of the merged merge requests that a commit belongs to.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} commitId Commit SHA to resolve.
+ * @returns {Promise<Array<number>>} The iids of the merged merge requests.
+ */
+const getMergedPullRequests = async (repository, commitId) => {
+  const mergeRequests = await paginate(
+    `${getProjectPath(repository)}/repository/commits/${commitId}/merge_requests`);
+
+  return mergeRequests.filter((mr) => mr.state === 'merged').map((mr) => mr.iid);
+};
+
+/**
+ * Gets the SHAs of the parent commits of a commit.
+ *
+ * @param {Object} repository The repository, see scm.getRepository.
+ * @param {string} commitId Commit SHA whose parents are needed.
+ * @returns {Promise<Array<string>>} SHAs of the parent commits.
+ */
+const getParentCommits = async (repository, commitId) => {
+  const { data } = await request({
+    url: `${getProjectPath(repository)}/repository/commits/${commitId}`,
+  });
+  return data.parent_ids;
+};
+
+export {
+  createPullRequest,
+  getDefaultBranch,
+  requestReviewers,
+  updatePullRequest,
+  listOpenPullRequests,
+  getMergedPullRequests,
+  getParentCommits,
+};
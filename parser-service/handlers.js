@@ -0,0 +1,313 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Handlers.js (module) keeps the registry of recommendation types. Each type
+ * is a handler that declares how its recommendations are fetched, filtered,
+ * matched to the Terraform state and applied to the Terraform files. Besides
+ * the built-in types, handlers are loaded from the plugin directory.
+ *
+ * A handler is an object with these fields:
+ *   type          The name used in /recommendation/:type, e.g. 'vm'.
+ *   recommenderID The Recommender to fetch from, e.g.
+ *                 'google.compute.instance.MachineTypeRecommender'.
+ *   filter        (recommendations) => the recommendations to apply.
+ *   matchState    (state, recommendations, { isStub, body }) => the resources
+ *                 in the Terraform state they apply to. May be async.
+ *   modify        (repoPath, resources, { state, isStub, body }) => the
+ *                 claimed recommendations, [{ id, etag, changes, warnings }].
+ *                 May be async.
+ *   title         The title of the commit and pull request.
+ *   scopes        Optional. The parents recommendations are fetched for,
+ *                 any of 'projects', 'folders' and 'organizations'.
+ *                 Defaults to ['projects'].
+ *   stub          Optional. The recommendations used when stub is set.
+ *   locations     Optional. ({ isStub, body }) => the locations to fetch
+ *                 recommendations for when the request names no location.
+ *                 May be async, and may set state in the context it is
+ *                 given so the state is not fetched again.
+ *   target        Optional. (recommendation) => the resource a filtered
+ *                 recommendation targets, used to suppress recommendations
+ *                 whose pull requests were rejected. Defaults to the
+ *                 instanceID, instanceGroupManagerID or IAM binding.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as recommender from './recommender.js';
+import * as terraform from './terraform.js';
+import * as compute from './compute.js';
+import sampleRecommendationVM from './stub/vm.json' assert {type:'json'};
+import sampleRecommendationIAM from './stub/iam.json' assert {type:'json'};
+import sampleRecommendationMIG from './stub/mig.json' assert {type:'json'};
+import sampleRecommendationCloudSQL from './stub/cloudsql.json' assert {type:'json'};
+import sampleRecommendationIdleVM from './stub/idle-vm.json' assert {type:'json'};
+import sampleRecommendationIdleDisk from './stub/idle-disk.json' assert {type:'json'};
+import sampleRecommendationIdleAddress from './stub/idle-address.json' assert {type:'json'};
+
+const DEFAULT_PLUGIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'plugins');
+const REQUIRED_FIELDS = ['type', 'recommenderID', 'filter', 'matchState', 'modify', 'title'];
+const SCOPES = ['projects', 'folders', 'organizations'];
+
+/**
+ * Builds the handler of an idle resource type, which stops instances and
+ * comments out other resources, or removes them where the policy of the
+ * repo lists the type under removeIdleResources, see policy.js.
+ *
+ * @param {Object} options The fields that differ between idle resource types.
+ * @returns {Object} The handler.
+ */
+const idleResourceHandler = ({ resourceType, tfResourceType, ...handler }) => ({
+  ...handler,
+  filter: (recommendations) =>
+    recommender.filterIdleResourceRecommendations(recommendations, resourceType),
+  matchState: (state, recommendations) =>
+    terraform.getResourcesByIdFromState(state, recommendations, tfResourceType),
+  modify: (repoPath, resources, { policy }) =>
+    terraform.findAndModifyIdleResources(repoPath, resources, undefined, {
+      removeIdleResources: Boolean(policy?.removeIdleResources?.includes(handler.type)),
+    }),
+});
+
+/**
+ * Works out the zones of zonal recommenders, which need one call per zone:
+ * the zones of the regions listed in the request, in any of its projects,
+ * or, without those, the zones the resources of a type are in according to
+ * the Terraform state. Regions are looked up in projects only, so a request
+ * for folders or organizations alone uses the state.
+ *
+ * @param {string} tfResourceType The Terraform resource type, e.g. google_compute_instance.
+ * @returns {Function} The locations function of a handler.
+ */
+const zonesOf = (tfResourceType) => async (context) => {
+  const { projects = [], regions } = context.body;
+  if (regions && regions.length > 0 && projects.length > 0) {
+    const zones = await Promise.all(projects.map((project) => compute.listZones(project, regions)));
+    return [...new Set(zones.flat())].sort();
+  }
+  context.state = await terraform.getTFState();
+  return terraform.getZonesFromState(context.state, tfResourceType);
+};
+
+const BUILT_IN_HANDLERS = [
+  {
+    type: 'vm',
+    recommenderID: 'google.compute.instance.MachineTypeRecommender',
+    title: 'Recommended VM Rightsizing',
+    stub: sampleRecommendationVM,
+    locations: zonesOf('google_compute_instance'),
+    filter: recommender.filterVMSizeRecommendations,
+    matchState: terraform.getVMResourcesByIdFromState,
+    modify: (repoPath, resources, { state }) => terraform.findAndModifyInstances(
+      repoPath, resources, undefined,
+      terraform.getStateInstancesOfType(state, 'google_compute_instance')),
+  },
+  {
+    type: 'mig',
+    recommenderID: 'google.compute.instanceGroupManager.MachineTypeRecommender',
+    title: 'Recommended Managed Instance Group Rightsizing',
+    stub: sampleRecommendationMIG,
+    filter: recommender.filterMIGSizeRecommendations,
+    matchState: terraform.getInstanceTemplatesFromState,
+    modify: (repoPath, resources, { state }) => terraform.findAndModifyInstanceTemplates(
+      repoPath, resources, undefined,
+      terraform.INSTANCE_TEMPLATE_TYPES.flatMap(type =>
+        terraform.getStateInstancesOfType(state, type))),
+  },
+  {
+    type: 'cloudsql',
+    recommenderID: 'google.cloudsql.instance.OverprovisionedRecommender',
+    title: 'Recommended Cloud SQL Rightsizing',
+    stub: sampleRecommendationCloudSQL,
+    filter: recommender.filterCloudSQLTierRecommendations,
+    matchState: terraform.getDatabaseInstancesFromState,
+    modify: (repoPath, resources, { state }) => terraform.findAndModifyDatabaseInstances(
+      repoPath, resources, undefined,
+      terraform.getStateInstancesOfType(state, 'google_sql_database_instance')),
+  },
+  {
+    type: 'iam',
+    recommenderID: 'google.iam.policy.Recommender',
+    title: 'Recommended IAM Updates',
+    scopes: SCOPES,
+    stub: sampleRecommendationIAM,
+    filter: recommender.filterIAMRecommendations,
+    matchState: (state, recommendations, { isStub }) =>
+      terraform.getIAMBindingsFromState(state, recommendations, isStub),
+    modify: (repoPath, resources) =>
+      terraform.findAndModifyIAMRoleBindings(repoPath, resources),
+  },
+  idleResourceHandler({
+    type: 'idle-vm',
+    recommenderID: 'google.compute.instance.IdleResourceRecommender',
+    title: 'Recommended Idle VM Shutdown',
+    stub: sampleRecommendationIdleVM,
+    resourceType: 'compute.googleapis.com/Instance',
+    tfResourceType: 'google_compute_instance',
+  }),
+  idleResourceHandler({
+    type: 'idle-disk',
+    recommenderID: 'google.compute.disk.IdleResourceRecommender',
+    title: 'Recommended Idle Disk Removal',
+    stub: sampleRecommendationIdleDisk,
+    resourceType: 'compute.googleapis.com/Disk',
+    tfResourceType: 'google_compute_disk',
+  }),
+  idleResourceHandler({
+    type: 'idle-address',
+    recommenderID: 'google.compute.address.IdleResourceRecommender',
+    title: 'Recommended Unused IP Address Removal',
+    stub: sampleRecommendationIdleAddress,
+    resourceType: 'compute.googleapis.com/Address',
+    tfResourceType: 'google_compute_address',
+  }),
+];
+
+const handlers = new Map();
+
+/**
+ * Adds a recommendation type to the registry.
+ *
+ * @param {Object} handler The handler, see the top of this module.
+ * @param {string} [source] Where the handler comes from, e.g. a plugin file.
+ * @throws {Error} If the handler is incomplete or its type is already registered.
+ */
+const registerHandler = (handler, source = 'built-in') => {
+  const missing = REQUIRED_FIELDS.filter((field) => !handler || !handler[field]);
+  if (missing.length > 0) {
+    throw new Error(`Recommendation handler from ${source} is missing ${missing.join(', ')}`);
+  }
+
+  const type = handler.type.toLowerCase();
+  if (handlers.has(type)) {
+    throw new Error(`Recommendation type '${type}' from ${source} is already registered`);
+  }
+
+  const scopes = handler.scopes || ['projects'];
+  const unknownScopes = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknownScopes.length > 0) {
+    throw new Error(`Recommendation type '${type}' has unknown scopes ${unknownScopes.join(', ')}`);
+  }
+
+  handlers.set(type, { stub: [], ...handler, type, scopes, source });
+};
+
+/**
+ * Looks up the handler of a recommendation type.
+ *
+ * @param {string} type The type from the route, e.g. 'VM' or 'idle-vm'.
+ * @returns {Object|undefined} The handler.
+ */
+const getHandler = (type) => handlers.get(String(type).toLowerCase());
+
+/**
+ * Describes the registered recommendation types.
+ *
+ * @returns {Array<Object>} [{ type, recommenderID, title, scopes, source }]
+ */
+const listHandlers = () => [...handlers.values()]
+  .map(({ type, recommenderID, title, scopes, source }) =>
+    ({ type, recommenderID, title, scopes, source }));
+
+/**
+ * Builds the parents to fetch recommendations for from a request body, keeping
+ * only those the handler's recommender supports.
+ *
+ * @param {Object} handler The handler.
+ * @param {Object} body The request body with projects, folders and organizations.
+ * @returns {Array<string>} E.g. ['projects/p', 'folders/123'].
+ */
+const getParents = ({ scopes }, body) => scopes.flatMap((scope) =>
+  (body[scope] || []).map((id) => `${scope}/${id}`));
+
+/**
+ * Works out the locations to fetch recommendations for: the location of the
+ * request or, if it names none, those of the handler. Stub runs fetch nothing
+ * so they skip the lookup.
+ *
+ * @param {Object} handler The handler.
+ * @param {Object} context { isStub, body } with the stub flag and the request body.
+ * @returns {Promise<Array<string>>} E.g. ['us-central1-a', 'us-central1-b'].
+ */
+const getLocations = async ({ locations }, context) => {
+  const { location } = context.body;
+  if (location || context.isStub || !locations) {
+    return [location];
+  }
+  return locations(context);
+};
+
+/**
+ * Returns the resource a filtered recommendation of a handler targets.
+ *
+ * @param {Object} handler The handler.
+ * @param {Object} recommendation The filtered recommendation.
+ * @returns {string|undefined} The target.
+ */
+const getTarget = ({ target }, recommendation) =>
+  (target || recommender.getRecommendationTarget)(recommendation);
+
+/**
+ * Loads the handlers of the plugin directory. Each .js or .mjs file exports
+ * a handler or an array of handlers as its default export. A plugin or
+ * handler that fails to load is reported and skipped, so it cannot keep the
+ * service from starting.
+ *
+ * @param {string} [dir] The plugin directory, by default PLUGIN_DIR or the
+ *        plugins directory of the service.
+ * @returns {Promise<void>}
+ */
+const loadPlugins = async (dir = process.env.PLUGIN_DIR || DEFAULT_PLUGIN_DIR) => {
+  if (!(await fs.pathExists(dir))) {
+    return;
+  }
+
+  const files = (await fs.readdir(dir))
+    .filter((file) => /\.m?js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    let plugin;
+    try {
+      plugin = await import(pathToFileURL(path.join(dir, file)).href);
+    } catch (err) {
+      console.error(`Could not load recommendation plugin ${file}:`, err);
+      continue;
+    }
+
+    [].concat(plugin.default || []).forEach((handler) => {
+      try {
+        registerHandler(handler, file);
+        console.log(`Loaded recommendation type '${handler.type}' from ${file}`);
+      } catch (err) {
+        console.error(err.message);
+      }
+    });
+  }
+};
+
+BUILT_IN_HANDLERS.forEach((handler) => registerHandler(handler));
+
+export {
+  registerHandler,
+  getHandler,
+  listHandlers,
+  getParents,
+  getLocations,
+  getTarget,
+  loadPlugins,
+};
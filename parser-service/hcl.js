@@ -0,0 +1,866 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * hcl.js parses Terraform manifests written in the HashiCorp Configuration
+ * Language into a syntax tree. Every node keeps the character offsets it was
+ * read from, so changes are made by splicing the original text: formatting
+ * and comments outside of an edited node are left exactly as they were.
+ */
+
+const BINARY_OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%'];
+
+const isIdentStart = c => c !== undefined && /[A-Za-z_]/.test(c);
+const isIdentChar = c => c !== undefined && /[A-Za-z0-9_-]/.test(c);
+const isDigit = c => c !== undefined && /[0-9]/.test(c);
+
+/**
+ * Removes the indentation that all non-blank lines share, as Terraform does
+ * for heredocs introduced with <<-.
+ *
+ * @param {string} value The heredoc contents.
+ * @return {string} The contents without the common indentation.
+ */
+const stripCommonIndent = value => {
+  const lines = value.split('\n');
+  const indents = lines
+    .filter(line => line.trim())
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent)).join('\n');
+};
+
+/**
+ * Parses HCL source text into a syntax tree. With the json option the text
+ * is read as a JSON object instead, as in terraform.tfvars.json, and each of
+ * its properties becomes an attribute of the returned body.
+ *
+ * @param {string} src The contents of a .tf or .tfvars file.
+ * @param {Object} [options] { json: boolean }
+ * @return {Object} The root body node: { type: 'body', start, end, items }.
+ */
+const parse = (src, { json = false } = {}) => {
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    const line = src.slice(0, at).split('\n').length;
+    throw new Error(`${message} at line ${line}`);
+  };
+
+  // Skips blanks and comments. Newlines are only skipped when they are not
+  // significant, e.g. inside parentheses or a tuple.
+  const skipSpace = (p, newlines) => {
+    for (;;) {
+      const c = src[p];
+      if (c === ' ' || c === '\t' || c === '\r' || (newlines && c === '\n')) {
+        p += 1;
+      } else if (c === '#' || (c === '/' && src[p + 1] === '/')) {
+        while (p < src.length && src[p] !== '\n') p += 1;
+      } else if (c === '/' && src[p + 1] === '*') {
+        const close = src.indexOf('*/', p + 2);
+        if (close === -1) fail('Unterminated comment', p);
+        p = close + 2;
+      } else {
+        return p;
+      }
+    }
+  };
+
+  const readIdent = p => {
+    let end = p;
+    while (isIdentChar(src[end])) end += 1;
+    return { name: src.slice(p, end), end };
+  };
+
+  const expect = (p, c) => {
+    if (src[p] !== c) fail(`Expected '${c}' but found '${src[p] || 'end of file'}'`, p);
+    return p + 1;
+  };
+
+  // Template parts shared by quoted strings and heredocs. Heredocs do not
+  // process backslash escapes and end at a fixed offset instead of a quote.
+  const parseTemplateParts = (p, limit, heredoc) => {
+    const parts = [];
+    let literal = '';
+    let literalStart = p;
+
+    const flush = end => {
+      if (end > literalStart) {
+        parts.push({ type: 'literal', value: literal, start: literalStart, end });
+      }
+      literal = '';
+    };
+
+    while (p < limit) {
+      const c = src[p];
+      if (!heredoc && c === '"') break;
+      if (!heredoc && c === '\n') fail('Unterminated string', p);
+
+      if (!heredoc && c === '\\') {
+        const n = src[p + 1];
+        const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f' };
+        if (escapes[n] !== undefined) {
+          literal += escapes[n];
+          p += 2;
+        } else if (n === 'u' || n === 'U') {
+          const size = n === 'u' ? 4 : 8;
+          literal += String.fromCodePoint(parseInt(src.substr(p + 2, size), 16));
+          p += 2 + size;
+        } else {
+          fail(`Invalid escape sequence '\\${n}'`, p);
+        }
+      } else if ((c === '$' || c === '%') && src[p + 1] === c && src[p + 2] === '{') {
+        literal += `${c}{`;
+        p += 3;
+      } else if (c === '$' && src[p + 1] === '{') {
+        flush(p);
+        const start = p;
+        let q = skipSpace(p + 2, true);
+        if (src[q] === '~') q = skipSpace(q + 1, true);
+        const expr = parseExpression(q, true);
+        q = skipSpace(expr.end, true);
+        if (src[q] === '~') q = skipSpace(q + 1, true);
+        p = expect(q, '}');
+        parts.push({ type: 'interpolation', expr, start, end: p });
+        literalStart = p;
+      } else if (c === '%' && src[p + 1] === '{') {
+        flush(p);
+        const start = p;
+        p = skipBalanced(p + 1, '{', '}');
+        parts.push({ type: 'directive', start, end: p });
+        literalStart = p;
+      } else {
+        literal += c;
+        p += 1;
+      }
+    }
+
+    flush(p);
+    return { parts, end: p };
+  };
+
+  const templateValue = (parts, stripIndent) => {
+    if (!parts.every(part => part.type === 'literal')) return undefined;
+    const value = parts.map(part => part.value).join('');
+    return stripIndent ? stripCommonIndent(value) : value;
+  };
+
+  const parseQuotedTemplate = p => {
+    const start = p;
+    const { parts, end } = parseTemplateParts(p + 1, src.length, false);
+    if (src[end] !== '"') fail('Unterminated string', start);
+    return {
+      type: 'template',
+      quoted: true,
+      start,
+      end: end + 1,
+      parts,
+      value: templateValue(parts, false),
+    };
+  };
+
+  const parseHeredoc = p => {
+    const start = p;
+    let q = p + 2;
+    const stripIndent = src[q] === '-';
+    if (stripIndent) q += 1;
+    const { name: marker, end: markerEnd } = readIdent(q);
+    // Lines may end with \r\n, as in files edited on Windows
+    const newline = src.startsWith('\r\n', markerEnd) ? 2 : 1;
+    if (!marker || src[markerEnd + newline - 1] !== '\n') fail('Invalid heredoc marker', p);
+
+    const contentStart = markerEnd + newline;
+    let lineStart = contentStart;
+    for (;;) {
+      if (lineStart >= src.length) fail(`Unterminated heredoc '${marker}'`, start);
+      let lineEnd = src.indexOf('\n', lineStart);
+      if (lineEnd === -1) lineEnd = src.length;
+      const line = src.slice(lineStart, lineEnd).replace(/\r$/, '');
+      if (line.trim() === marker) {
+        const { parts } = parseTemplateParts(contentStart, lineStart, true);
+        return {
+          type: 'template',
+          quoted: false,
+          stripIndent,
+          start,
+          end: lineStart + line.indexOf(marker) + marker.length,
+          parts,
+          value: templateValue(parts, stripIndent),
+        };
+      }
+      lineStart = lineEnd + 1;
+    }
+  };
+
+  // Skips over a bracketed region, honouring nested strings and comments.
+  // Returns the offset just past the closing bracket.
+  const skipBalanced = (p, open, close) => {
+    let depth = 0;
+    while (p < src.length) {
+      const c = src[p];
+      if (c === '"') {
+        p = parseQuotedTemplate(p).end;
+      } else if (c === '<' && src[p + 1] === '<' && /[-A-Za-z_]/.test(src[p + 2])) {
+        p = parseHeredoc(p).end;
+      } else if (c === '#' || (c === '/' && (src[p + 1] === '/' || src[p + 1] === '*'))) {
+        p = skipSpace(p, false);
+      } else {
+        if (c === open) depth += 1;
+        if (c === close) depth -= 1;
+        p += 1;
+        if (depth === 0) return p;
+      }
+    }
+    return fail(`Missing '${close}'`, p);
+  };
+
+  const isForExpression = p => {
+    const q = skipSpace(p + 1, true);
+    return src.startsWith('for', q) && !isIdentChar(src[q + 3]);
+  };
+
+  const parseTuple = p => {
+    const start = p;
+    if (isForExpression(p)) {
+      return { type: 'for', start, end: skipBalanced(p, '[', ']') };
+    }
+
+    const items = [];
+    p = skipSpace(p + 1, true);
+    while (src[p] !== ']') {
+      const item = parseExpression(p, true);
+      items.push(item);
+      p = skipSpace(item.end, true);
+      if (src[p] === ',') {
+        p = skipSpace(p + 1, true);
+      } else if (src[p] !== ']') {
+        fail(`Expected ',' or ']' but found '${src[p] || 'end of file'}'`, p);
+      }
+    }
+    return { type: 'tuple', start, end: p + 1, items };
+  };
+
+  const parseObject = p => {
+    const start = p;
+    if (isForExpression(p)) {
+      return { type: 'for', start, end: skipBalanced(p, '{', '}') };
+    }
+
+    const items = [];
+    p = skipSpace(p + 1, true);
+    while (src[p] !== '}') {
+      const key = parseOperand(p, true);
+      let keyName;
+      if (key.type === 'traversal' && key.steps.length === 0) {
+        keyName = key.root;
+      } else if (key.type === 'template' && key.value !== undefined) {
+        keyName = key.value;
+      }
+
+      p = skipSpace(key.end, false);
+      if (src[p] !== '=' && src[p] !== ':') {
+        fail(`Expected '=' or ':' but found '${src[p] || 'end of file'}'`, p);
+      }
+      const value = parseExpression(skipSpace(p + 1, false), false);
+      items.push({ type: 'item', key, keyName, value, start: key.start, end: value.end });
+
+      p = skipSpace(value.end, false);
+      if (src[p] === ',') p += 1;
+      else if (src[p] !== '\n' && src[p] !== '}') {
+        fail(`Expected ',', newline or '}' but found '${src[p] || 'end of file'}'`, p);
+      }
+      p = skipSpace(p, true);
+    }
+    return { type: 'object', start, end: p + 1, items };
+  };
+
+  const parseArguments = p => {
+    const args = [];
+    p = skipSpace(p + 1, true);
+    while (src[p] !== ')') {
+      const arg = parseExpression(p, true);
+      args.push(arg);
+      p = skipSpace(arg.end, true);
+      if (src.startsWith('...', p)) p = skipSpace(p + 3, true);
+      if (src[p] === ',') {
+        p = skipSpace(p + 1, true);
+      } else if (src[p] !== ')') {
+        fail(`Expected ',' or ')' but found '${src[p] || 'end of file'}'`, p);
+      }
+    }
+    return { args, end: p + 1 };
+  };
+
+  // Parses attribute access, indexing and splats that follow an operand.
+  const parseSteps = p => {
+    const steps = [];
+    for (;;) {
+      if (src[p] === '.' && isIdentStart(src[p + 1])) {
+        const { name, end } = readIdent(p + 1);
+        steps.push({ type: 'attr', name });
+        p = end;
+      } else if (src[p] === '.' && isDigit(src[p + 1])) {
+        let end = p + 1;
+        while (isDigit(src[end])) end += 1;
+        steps.push({ type: 'index', key: Number(src.slice(p + 1, end)) });
+        p = end;
+      } else if (src[p] === '.' && src[p + 1] === '*') {
+        steps.push({ type: 'splat' });
+        p += 2;
+      } else if (src[p] === '[' && src[skipSpace(p + 1, true)] === '*') {
+        steps.push({ type: 'splat' });
+        p = expect(skipSpace(skipSpace(p + 1, true) + 1, true), ']');
+      } else if (src[p] === '[') {
+        const expr = parseExpression(skipSpace(p + 1, true), true);
+        steps.push({ type: 'index', expr });
+        p = expect(skipSpace(expr.end, true), ']');
+      } else {
+        return { steps, end: p };
+      }
+    }
+  };
+
+  const parseOperand = (p, newlines) => {
+    const start = p;
+    const c = src[p];
+    let operand;
+
+    if ((c === '-' && !isDigit(src[p + 1])) || c === '!') {
+      const inner = parseOperand(skipSpace(p + 1, newlines), newlines);
+      return { type: 'operation', start, end: inner.end, operands: [inner] };
+    } else if (c === '"') {
+      operand = parseQuotedTemplate(p);
+    } else if (c === '<' && src[p + 1] === '<') {
+      operand = parseHeredoc(p);
+    } else if (isDigit(c) || c === '-') {
+      const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(src.slice(p));
+      operand = { type: 'number', start, end: p + match[0].length, value: Number(match[0]) };
+    } else if (c === '[') {
+      operand = parseTuple(p);
+    } else if (c === '{') {
+      operand = parseObject(p);
+    } else if (c === '(') {
+      const expr = parseExpression(skipSpace(p + 1, true), true);
+      operand = { type: 'parens', start, end: expect(skipSpace(expr.end, true), ')'), expr };
+    } else if (isIdentStart(c)) {
+      const { name, end } = readIdent(p);
+      if (name === 'true' || name === 'false') {
+        return { type: 'bool', start, end, value: name === 'true' };
+      }
+      if (name === 'null') {
+        return { type: 'null', start, end, value: null };
+      }
+      if (src[end] === '(') {
+        const { args, end: callEnd } = parseArguments(end);
+        operand = { type: 'call', start, end: callEnd, name, args };
+      } else {
+        const { steps, end: stepsEnd } = parseSteps(end);
+        return { type: 'traversal', start, end: stepsEnd, root: name, steps };
+      }
+    } else {
+      fail(`Unexpected '${c || 'end of file'}'`, p);
+    }
+
+    const { steps, end } = parseSteps(operand.end);
+    if (steps.length === 0) return operand;
+    return { type: 'operation', start, end, operands: [operand] };
+  };
+
+  const matchOperator = p =>
+    BINARY_OPERATORS.find(op => src.startsWith(op, p) &&
+      !(op === '/' && (src[p + 1] === '/' || src[p + 1] === '*')));
+
+  // Parses an expression. When newlines are significant, the expression ends
+  // at the first newline that is not nested inside brackets.
+  const parseExpression = (p, newlines) => {
+    const start = p;
+    const operands = [parseOperand(p, newlines)];
+    let end = operands[0].end;
+
+    for (;;) {
+      const q = skipSpace(end, newlines);
+      const op = matchOperator(q);
+      if (op) {
+        operands.push(parseOperand(skipSpace(q + op.length, true), newlines));
+      } else if (src[q] === '?') {
+        operands.push(parseExpression(skipSpace(q + 1, true), newlines));
+        const colon = expect(skipSpace(operands[operands.length - 1].end, true), ':');
+        operands.push(parseExpression(skipSpace(colon, true), newlines));
+      } else {
+        break;
+      }
+      end = operands[operands.length - 1].end;
+    }
+
+    if (operands.length === 1) return operands[0];
+    return { type: 'operation', start, end, operands };
+  };
+
+  const parseBody = (p, closing) => {
+    const start = p;
+    const items = [];
+
+    for (;;) {
+      p = skipSpace(p, true);
+      if (p >= src.length) {
+        if (closing) fail("Missing '}'", p);
+        break;
+      }
+      if (src[p] === '}') {
+        if (!closing) fail("Unexpected '}'", p);
+        break;
+      }
+      if (!isIdentStart(src[p])) fail(`Unexpected '${src[p]}'`, p);
+
+      const itemStart = p;
+      const { name, end: nameEnd } = readIdent(p);
+      let q = skipSpace(nameEnd, false);
+
+      if (src[q] === '=' && src[q + 1] !== '=') {
+        const expr = parseExpression(skipSpace(q + 1, false), false);
+        items.push({ type: 'attribute', name, start: itemStart, end: expr.end, expr });
+        p = skipSpace(expr.end, false);
+        if (p < src.length && src[p] !== '\n' && src[p] !== '}') {
+          fail(`Unexpected '${src[p]}' after attribute '${name}'`, p);
+        }
+      } else {
+        const labels = [];
+        while (src[q] !== '{') {
+          if (src[q] === '"') {
+            const label = parseQuotedTemplate(q);
+            labels.push(label.value);
+            q = skipSpace(label.end, false);
+          } else if (isIdentStart(src[q])) {
+            const label = readIdent(q);
+            labels.push(label.name);
+            q = skipSpace(label.end, false);
+          } else {
+            fail(`Unexpected '${src[q] || 'end of file'}' in block '${name}'`, q);
+          }
+        }
+        const body = parseBody(q + 1, true);
+        items.push({ type: 'block', blockType: name, labels, start: itemStart, end: body.end + 1, body });
+        p = body.end + 1;
+      }
+    }
+
+    return { type: 'body', start, end: p, items };
+  };
+
+  if (json) {
+    const object = parseObject(skipSpace(0, true));
+    if (object.type !== 'object' || skipSpace(object.end, true) < src.length) {
+      fail('Expected a single JSON object', object.end);
+    }
+    return {
+      type: 'body',
+      start: object.start,
+      end: object.end,
+      items: object.items.map(item => ({
+        type: 'attribute',
+        name: item.keyName,
+        start: item.start,
+        end: item.end,
+        expr: item.value,
+      })),
+    };
+  }
+
+  return parseBody(0, false);
+};
+
+/**
+ * Finds the blocks of a body with the given type whose labels start with
+ * the given labels, e.g. getBlocks(body, 'resource', 'google_compute_instance').
+ *
+ * @param {Object} body A body node.
+ * @param {string} blockType The block type such as 'resource' or 'variable'.
+ * @param {...string} labels The leading labels the block must have.
+ * @return {Array<Object>} The matching block nodes.
+ */
+const getBlocks = (body, blockType, ...labels) => body.items.filter(item =>
+  item.type === 'block' &&
+  item.blockType === blockType &&
+  labels.every((label, i) => item.labels[i] === label));
+
+/**
+ * Finds an attribute in a body.
+ *
+ * @param {Object} body A body node.
+ * @param {string} name The attribute name.
+ * @return {Object|undefined} The attribute node, if present.
+ */
+const getAttribute = (body, name) =>
+  body.items.find(item => item.type === 'attribute' && item.name === name);
+
+/**
+ * Evaluates an expression against a scope of known values. References are
+ * looked up by walking the scope, e.g. var.zone reads scope.var.zone.
+ * Anything that cannot be evaluated statically yields undefined.
+ *
+ * @param {Object} expr An expression node.
+ * @param {Object} scope The values available to references.
+ * @return {*} The value of the expression, or undefined.
+ */
+const evaluate = (expr, scope = {}) => {
+  switch (expr.type) {
+    case 'number':
+    case 'bool':
+    case 'null':
+      return expr.value;
+    case 'template': {
+      if (expr.value !== undefined) return expr.value;
+      const values = expr.parts.map(part => {
+        if (part.type === 'literal') return part.value;
+        if (part.type === 'interpolation') return evaluate(part.expr, scope);
+        return undefined;
+      });
+      // A lone interpolation such as "${var.tags}" keeps the type of its value
+      if (expr.quoted && values.length === 1 && expr.parts[0].type === 'interpolation') {
+        return values[0];
+      }
+      if (values.some(value => value === undefined || (value !== null && typeof value === 'object'))) {
+        return undefined;
+      }
+      const value = values.map(value => (value === null ? '' : String(value))).join('');
+      return expr.stripIndent ? stripCommonIndent(value) : value;
+    }
+    case 'tuple': {
+      const values = expr.items.map(item => evaluate(item, scope));
+      return values.includes(undefined) ? undefined : values;
+    }
+    case 'object': {
+      const value = {};
+      for (const item of expr.items) {
+        const key = item.keyName !== undefined ? item.keyName : evaluate(item.key, scope);
+        const itemValue = evaluate(item.value, scope);
+        if (key === undefined || itemValue === undefined) return undefined;
+        value[key] = itemValue;
+      }
+      return value;
+    }
+    case 'parens':
+      return evaluate(expr.expr, scope);
+    case 'call':
+      // Type conversions do not change the value of a literal
+      if (['tostring', 'tonumber', 'tobool', 'tolist', 'toset', 'tomap'].includes(expr.name) &&
+          expr.args.length === 1) {
+        return evaluate(expr.args[0], scope);
+      }
+      return undefined;
+    case 'traversal': {
+      let value = scope[expr.root];
+      for (const step of expr.steps) {
+        if (value === undefined || value === null || step.type === 'splat') return undefined;
+        const key = step.type === 'attr'
+          ? step.name
+          : step.expr ? evaluate(step.expr, scope) : step.key;
+        if (key === undefined) return undefined;
+        value = value[key];
+      }
+      return value;
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Renders a JavaScript value as an HCL literal.
+ *
+ * @param {*} value A string, number, boolean, null, array or plain object.
+ * @return {string} The HCL representation of the value.
+ */
+const toHCL = value => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(toHCL).join(', ')}]`;
+  if (typeof value === 'object') {
+    const items = Object.entries(value).map(([key, item]) =>
+      `${/^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) ? key : toHCL(key)} = ${toHCL(item)}`);
+    return `{ ${items.join(', ')} }`;
+  }
+  if (typeof value === 'string') {
+    const escaped = value
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\t/g, '\\t')
+      .replace(/([$%])\{/g, '$1$1{');
+    return `"${escaped}"`;
+  }
+  return String(value);
+};
+
+/**
+ * Returns the start of the line that contains the given offset.
+ *
+ * @param {string} src The source text.
+ * @param {number} offset A character offset.
+ * @return {number} The offset of the first character on that line.
+ */
+const lineStart = (src, offset) => src.lastIndexOf('\n', offset - 1) + 1;
+
+/**
+ * Returns the leading whitespace of the line that contains the given offset.
+ *
+ * @param {string} src The source text.
+ * @param {number} offset A character offset.
+ * @return {string} The indentation of that line.
+ */
+const indentation = (src, offset) =>
+  src.slice(lineStart(src, offset)).match(/^[ \t]*/)[0];
+
+/**
+ * Widens a range to whole lines when nothing but blanks precede it and
+ * nothing but blanks or a comment follow it on its last line.
+ *
+ * @param {string} src The source text.
+ * @param {number} start The start offset of the range.
+ * @param {number} end The end offset of the range.
+ * @return {{start: number, end: number}} The widened range.
+ */
+const wholeLines = (src, start, end) => {
+  const first = lineStart(src, start);
+  let last = src.indexOf('\n', end);
+  if (last === -1) last = src.length;
+  const before = src.slice(first, start);
+  const after = src.slice(end, last);
+  if (before.trim() || !/^\s*((#|\/\/).*)?$/.test(after)) return { start, end };
+  return { start: first, end: Math.min(last + 1, src.length) };
+};
+
+/**
+ * Creates an edit that replaces an expression with new HCL text.
+ *
+ * @param {Object} expr The expression node to replace.
+ * @param {string} text The replacement HCL text.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const replaceExpression = (expr, text) => ({ start: expr.start, end: expr.end, text });
+
+/**
+ * Creates an edit that removes an attribute or a block, including the lines
+ * it occupied when it stood on lines of its own.
+ *
+ * @param {string} src The source text.
+ * @param {Object} node The attribute or block node.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const removeNode = (src, node) => {
+  const { start, end } = wholeLines(src, node.start, node.end);
+  const blankBefore = /(^|\n)[ \t]*\n$/.test(src.slice(0, start));
+  const blankAfter = /^[ \t]*\n/.exec(src.slice(end));
+
+  // Do not leave two blank lines where the node was, or a blank first line
+  if (src[end - 1] === '\n' && (blankBefore || start === 0) && blankAfter) {
+    return { start, end: end + blankAfter[0].length, text: '' };
+  }
+  return { start, end, text: '' };
+};
+
+/**
+ * Creates an edit that comments out an attribute or block with '#' line
+ * comments, keeping the original text visible to reviewers.
+ *
+ * @param {string} src The source text.
+ * @param {Object} node The attribute or block node.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const commentOutNode = (src, node) => {
+  const start = lineStart(src, node.start);
+  let end = src.indexOf('\n', node.end);
+  if (end === -1) end = src.length;
+  const text = src.slice(start, end)
+    .split('\n')
+    .map(line => (line.trim() ? `# ${line}` : '#'))
+    .join('\n');
+  return { start, end, text };
+};
+
+/**
+ * Creates an edit that inserts text on new lines after a block or attribute.
+ *
+ * @param {Object} node The node after which to insert.
+ * @param {string} text The text to insert.
+ * @param {string} [separator] What goes between the node and the new text.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const insertAfterNode = (node, text, separator = '\n\n') =>
+  ({ start: node.end, end: node.end, text: `${separator}${text}` });
+
+/**
+ * Creates an edit that inserts a line after the line where a node ends, so
+ * a comment following the node stays on its line.
+ *
+ * @param {string} src The source text.
+ * @param {Object} node The node after which to insert.
+ * @param {string} text The line to insert, including its indentation.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const insertAfterLine = (src, node, text) => {
+  const lineEnd = src.indexOf('\n', node.end);
+  const position = lineEnd === -1 ? src.length : lineEnd;
+  return { start: position, end: position, text: `\n${text}` };
+};
+
+/**
+ * Creates the edits that insert an attribute on the line after another one
+ * of the same body. As terraform fmt does, the equals signs of the
+ * attributes on adjacent lines are lined up, which may move those of the
+ * attributes around the new one.
+ *
+ * @param {string} src The source text.
+ * @param {Object} body The body of the attribute to insert after.
+ * @param {Object} anchor The attribute to insert after.
+ * @param {string} name The name of the new attribute.
+ * @param {string} exprText The HCL text of its value.
+ * @return {Array<Object>} The edits: [{ start, end, text }].
+ */
+const insertAttributeAfter = (src, body, anchor, name, exprText) => {
+  const lineOf = offset => src.slice(0, offset).split('\n').length;
+  const attributes = body.items.filter(item => item.type === 'attribute');
+  // A multi-line attribute ends on a line without an equals sign, which ends
+  // the lines that are aligned
+  const adjacent = (a, b) =>
+    lineOf(a.start) === lineOf(a.end) && lineOf(b.start) === lineOf(a.end) + 1;
+
+  const index = attributes.indexOf(anchor);
+  const aligned = [];
+  if (lineOf(anchor.start) === lineOf(anchor.end)) {
+    aligned.push(anchor);
+    for (let i = index - 1; i >= 0 && adjacent(attributes[i], attributes[i + 1]); i--) {
+      aligned.unshift(attributes[i]);
+    }
+  }
+  const next = attributes[index + 1];
+  if (next && lineOf(next.start) === lineOf(anchor.end) + 1) {
+    aligned.push(next);
+    for (let i = index + 2; i < attributes.length && adjacent(attributes[i - 1], attributes[i]); i++) {
+      aligned.push(attributes[i]);
+    }
+  }
+
+  const width = Math.max(name.length, ...aligned.map(attribute => attribute.name.length));
+  const edits = aligned.flatMap(attribute => {
+    const nameEnd = attribute.start + attribute.name.length;
+    const equals = src.indexOf('=', nameEnd);
+    const padding = ' '.repeat(width - attribute.name.length + 1);
+    return src.slice(nameEnd, equals) === padding
+      ? []
+      : [{ start: nameEnd, end: equals, text: padding }];
+  });
+  return [
+    ...edits,
+    insertAfterLine(src, anchor, `${indentation(src, anchor.start)}${name.padEnd(width)} = ${exprText}`),
+  ];
+};
+
+/**
+ * Creates an edit that removes one element from a tuple or one item from an
+ * object, keeping the separators and layout of the remaining ones intact.
+ *
+ * @param {string} src The source text.
+ * @param {Object} collection The tuple or object expression node.
+ * @param {number} index The index of the element or item to remove.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const removeCollectionItem = (src, collection, index) => {
+  const { items } = collection;
+  const item = items[index];
+  if (items.length === 1) {
+    return { start: collection.start + 1, end: collection.end - 1, text: '' };
+  }
+
+  let end = item.end;
+  const next = /^[ \t]*,/.exec(src.slice(end));
+  if (next) end += next[0].length;
+
+  const lines = wholeLines(src, item.start, end);
+  if (lines.start !== item.start) return { ...lines, text: '' };
+
+  if (next && index < items.length - 1) {
+    return { start: item.start, end: items[index + 1].start, text: '' };
+  }
+  return { start: items[index - 1].end, end: item.end, text: '' };
+};
+
+/**
+ * Creates an edit that appends an element to a tuple, following the layout
+ * of the existing elements.
+ *
+ * @param {string} src The source text.
+ * @param {Object} tuple The tuple expression node.
+ * @param {string} text The HCL text of the new element.
+ * @return {Object} An edit: { start, end, text }.
+ */
+const appendTupleItem = (src, tuple, text) => {
+  const last = tuple.items[tuple.items.length - 1];
+  if (!last) {
+    return { start: tuple.start + 1, end: tuple.end - 1, text };
+  }
+
+  const trailingComma = /^[ \t]*,/.exec(src.slice(last.end));
+  const multiline = src.slice(tuple.start, tuple.items[0].start).includes('\n');
+  if (!multiline) {
+    return { start: last.end, end: last.end, text: `, ${text}` };
+  }
+
+  const indent = indentation(src, last.start);
+  if (trailingComma) {
+    const at = last.end + trailingComma[0].length;
+    return { start: at, end: at, text: `\n${indent}${text},` };
+  }
+  return { start: last.end, end: last.end, text: `,\n${indent}${text}` };
+};
+
+/**
+ * Applies a list of non-overlapping edits to the source text.
+ *
+ * @param {string} src The source text.
+ * @param {Array<Object>} edits The edits to apply: [{ start, end, text }].
+ * @return {string} The edited text.
+ */
+const applyEdits = (src, edits) => {
+  const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end);
+  sorted.forEach((edit, i) => {
+    const previous = sorted[i - 1];
+    if (previous && edit.end > previous.start) {
+      throw new Error('Cannot apply overlapping edits');
+    }
+  });
+
+  return sorted.reduce((text, { start, end, text: replacement }) =>
+    text.slice(0, start) + replacement + text.slice(end), src);
+};
+
+export {
+  parse,
+  getBlocks,
+  getAttribute,
+  evaluate,
+  toHCL,
+  indentation,
+  replaceExpression,
+  removeNode,
+  commentOutNode,
+  insertAfterNode,
+  insertAfterLine,
+  insertAttributeAfter,
+  removeCollectionItem,
+  appendTupleItem,
+  applyEdits
+};
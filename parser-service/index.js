@@ -17,7 +17,10 @@
 // re-wrote to ES6
 import express from 'express'
 import { downloadFiles } from './gcs.js'
-import { applyRecommendations, ci } from './routes.js'
+import {
+  applyRecommendations, previewRecommendations, listRecommendationTypes, ci, githubWebhook
+} from './routes.js'
+import { loadPlugins } from './handlers.js'
 import dotenv from 'dotenv'
 
 // Load environment variables from .env file
@@ -28,15 +31,22 @@ const SSH_KEYS_BUCKET = process.env.SSH_KEYS_BUCKET
 
 const app = express()
 
-// Using express.json middleware instead of body-parser
-app.use(express.json())
+// Using express.json middleware instead of body-parser. The raw body is kept
+// to verify the signature of GitHub webhooks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
+}))
 /**
  * Main entry point to the service. It sets up the container with the SSH keys
- * that are needed to clone the IaC repository, and starts the express server
+ * that are needed to clone the IaC repository, loads the recommendation type
+ * plugins and starts the express server
  */
 const run = async () => {
   try {
     await downloadFiles(SSH_KEYS_BUCKET, '/root/.ssh', '500')
+    await loadPlugins()
 
     app.listen(PORT, () => {
       console.log(`Server started on port ${PORT}`)
@@ -48,15 +58,31 @@ const run = async () => {
 
 /**
  * Entry point route for pipeline execution. This method starts the pipeline.
- * The recommendation type is either 'vm' or 'iam' that the pipeline
- * needs to retrieve Recommender recommendations for.
+ * The recommendation type is one of the types listed by
+ * /recommendation-types, such as 'vm' or 'iam', that the pipeline needs to
+ * retrieve Recommender recommendations for.
  */
 app.post('/recommendation/:type', applyRecommendations)
+/**
+ * This route runs the pipeline as a dry run. It returns the changes that
+ * /recommendation/:type would make as a unified diff, without committing,
+ * opening a pull request or claiming the recommendations.
+ */
+app.post('/recommendation/:type/preview', previewRecommendations)
+/**
+ * This route lists the installed recommendation types.
+ */
+app.get('/recommendation-types', listRecommendationTypes)
 /**
  * This route writes the Commit SHA and the Recommender recommendations IDs to
  * Cloud Firestore.
  */
 app.post('/ci', ci)
+/**
+ * This route receives the pull_request events of the GitHub webhook and
+ * dismisses the recommendations of pull requests that are closed unmerged.
+ */
+app.post('/github/webhook', githubWebhook)
 
 // Start the application
 run()
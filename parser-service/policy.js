@@ -0,0 +1,309 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Policy.js (module) reads the guardrails of the IaC repository from its
+ * .recommender-policy.yaml and checks recommendations against them before
+ * they are applied. A policy looks like:
+ *
+ *   maxChangesPerPullRequest: 20
+ *   removeIdleResources: [idle-disk]  # remove, not comment out or stop
+ *   rules:
+ *     - name: protect-prod            # named in the pull request
+ *       labels: { env: prod }         # resources with all of these labels
+ *     - name: keep-two-vcpus
+ *       minVCPUs: 2                   # machine types with fewer vCPUs
+ *     - name: general-purpose-only
+ *       machineFamilies: [e2, n2]     # machine types of other families
+ *     - name: keep-owners
+ *       roles: [roles/owner]          # IAM recommendations for these roles
+ *     - name: service-accounts-only
+ *       members: ['serviceAccount:*'] # IAM members matching none of these
+ *     - name: review-disk-removals
+ *       types: [idle-disk]            # only recommendations of these types
+ *       resources: ['*-scratch-*']    # targets matching any of these
+ *       action: warn                  # warn in the pull request, not skip
+ *
+ * A rule matches a recommendation when all of its conditions hold, or when
+ * a condition cannot be checked, such as minVCPUs for a machine type whose
+ * vCPUs are unknown. A matching rule skips the recommendation, or with
+ * action: warn adds a warning to it. maxChangesPerPullRequest limits the
+ * recommendations of each pull request, see limitChanges.
+ * removeIdleResources lists the idle resource types whose resources are
+ * deleted from the Terraform files. Without it idle instances are stopped
+ * and other idle resources commented out.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+
+const POLICY_FILE = '.recommender-policy.yaml';
+const CONDITIONS = ['types', 'labels', 'resources', 'minVCPUs', 'machineFamilies', 'roles', 'members'];
+const RULE_FIELDS = ['name', 'action', ...CONDITIONS];
+const ACTIONS = ['skip', 'warn'];
+const IDLE_RESOURCE_TYPES = ['idle-vm', 'idle-disk', 'idle-address'];
+
+/**
+ * vCPUs of the predefined machine types whose name does not end with their
+ * vCPU count.
+ */
+const SHARED_CORE_VCPUS = {
+  'f1-micro': 1,
+  'g1-small': 1,
+  'e2-micro': 2,
+  'e2-small': 2,
+  'e2-medium': 2,
+  'db-f1-micro': 1,
+  'db-g1-small': 1,
+};
+
+/**
+ * Reads the policy of a cloned repository and checks that its rules are
+ * well formed.
+ *
+ * @param {string} repoPath The path of the cloned repository.
+ * @returns {Promise<Object|null>} The policy,
+ *          { maxChangesPerPullRequest, removeIdleResources, rules },
+ *          or null if the repository has none.
+ * @throws {Error} If the policy is not valid.
+ */
+const loadPolicy = async (repoPath) => {
+  const file = path.join(repoPath, POLICY_FILE);
+  if (!(await fs.pathExists(file))) {
+    return null;
+  }
+
+  const policy = yaml.load(await fs.readFile(file, 'utf8')) || {};
+  const rules = (policy.rules || []).map((rule, i) => {
+    const name = rule.name || `rule ${i + 1}`;
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`${POLICY_FILE}: ${name} has unknown fields ${unknown.join(', ')}`);
+    }
+    if (!CONDITIONS.some(condition => rule[condition] !== undefined)) {
+      throw new Error(`${POLICY_FILE}: ${name} has no conditions`);
+    }
+    const action = rule.action || 'skip';
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`${POLICY_FILE}: ${name} has unknown action ${action}`);
+    }
+    return { ...rule, name, action };
+  });
+
+  const removeIdleResources = [].concat(policy.removeIdleResources || []);
+  const unknownTypes = removeIdleResources.filter(type => !IDLE_RESOURCE_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    throw new Error(`${POLICY_FILE}: removeIdleResources has unknown types ${unknownTypes.join(', ')}`);
+  }
+
+  return { maxChangesPerPullRequest: policy.maxChangesPerPullRequest, removeIdleResources, rules };
+};
+
+/**
+ * Turns a pattern with * wildcards into a regular expression.
+ *
+ * @param {string} pattern E.g. 'serviceAccount:*@my-project.iam.gserviceaccount.com'.
+ * @returns {RegExp} The regular expression.
+ */
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .split('*')
+  .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+  .join('.*')}$`);
+
+const matchesAny = (value, patterns) =>
+  value !== undefined && [].concat(patterns).some(pattern => globToRegExp(pattern).test(value));
+
+/**
+ * Returns the number of vCPUs of a machine type or Cloud SQL tier.
+ *
+ * @param {string} machineType E.g. 'n2-standard-4', 'custom-2-7680' or 'db-custom-2-7680'.
+ * @returns {number|undefined} The vCPUs, if they can be told from the name.
+ */
+const getVCPUs = (machineType) => {
+  if (SHARED_CORE_VCPUS[machineType]) {
+    return SHARED_CORE_VCPUS[machineType];
+  }
+  const custom = machineType.match(/custom-(\d+)-\d+/);
+  if (custom) {
+    return Number(custom[1]);
+  }
+  const predefined = machineType.match(/-(\d+)$/);
+  return predefined ? Number(predefined[1]) : undefined;
+};
+
+/**
+ * Returns the family of a machine type or Cloud SQL tier.
+ *
+ * @param {string} machineType E.g. 'n2-standard-4' or 'db-n1-standard-2'.
+ * @returns {string} The family, e.g. 'n2' or 'n1'. Custom machine types
+ *          without a family prefix are of the n1 family.
+ */
+const getMachineFamily = (machineType) => {
+  const [family] = machineType.replace(/^db-/, '').split('-');
+  return family === 'custom' ? 'n1' : family;
+};
+
+/**
+ * Looks up the labels of the resource a recommendation targets in the
+ * Terraform state.
+ *
+ * @param {Object} state The Terraform state.
+ * @param {string} target The target of the recommendation, see handlers.getTarget.
+ * @returns {Object} The labels.
+ */
+const getStateLabels = (state, target) => {
+  const id = String(target || '').split(' ')[0].replace(/^\/\/[^/]+\//, '');
+  for (const resource of state.resources) {
+    for (const { attributes = {} } of resource.instances) {
+      if (attributes.id === id || (attributes.self_link || '').endsWith(`/${id}`)) {
+        return {
+          ...attributes.effective_labels,
+          ...attributes.labels,
+          ...(attributes.settings || [])[0]?.user_labels,
+        };
+      }
+    }
+  }
+  return {};
+};
+
+/**
+ * Checks the conditions of a rule against a recommendation.
+ *
+ * @param {Object} rule The rule.
+ * @param {Object} recommendation The filtered recommendation.
+ * @param {Object} facts { type, target, labels() } of the recommendation.
+ * @returns {string|null} Why the rule matched, or null if it did not.
+ */
+const matchRule = (rule, recommendation, { type, target, labels }) => {
+  const { size, role, member } = recommendation;
+  const reasons = [];
+  const checks = {
+    types: () => [].concat(rule.types).includes(type) && `type is ${type}`,
+    labels: () => {
+      const actual = labels();
+      return Object.entries(rule.labels).every(([key, value]) => actual[key] === String(value)) &&
+        `labelled ${Object.entries(rule.labels).map(([key, value]) => `${key}=${value}`).join(', ')}`;
+    },
+    resources: () => matchesAny(target, rule.resources) && `${target} matches ${rule.resources}`,
+    minVCPUs: () => {
+      if (size === undefined) {
+        return false;
+      }
+      const vCPUs = getVCPUs(size);
+      if (vCPUs === undefined) {
+        return `the vCPUs of ${size} are unknown`;
+      }
+      return vCPUs < rule.minVCPUs && `${size} has fewer than ${rule.minVCPUs} vCPUs`;
+    },
+    machineFamilies: () => size !== undefined &&
+      ![].concat(rule.machineFamilies).includes(getMachineFamily(size)) &&
+      `${size} is not of the ${[].concat(rule.machineFamilies).join(', ')} families`,
+    roles: () => [].concat(rule.roles).includes(role) && `role is ${role}`,
+    members: () => member !== undefined && !matchesAny(member, rule.members) &&
+      `${member} matches none of ${[].concat(rule.members).join(', ')}`,
+  };
+
+  for (const condition of CONDITIONS) {
+    if (rule[condition] !== undefined) {
+      const reason = checks[condition]();
+      if (!reason) {
+        return null;
+      }
+      reasons.push(reason);
+    }
+  }
+  return reasons.join(' and ');
+};
+
+/**
+ * Checks recommendations against a policy. Recommendations that a skip rule
+ * matches are left out and warn rules add warnings.
+ *
+ * @param {Object|null} policy The policy, see loadPolicy.
+ * @param {Object} handler The recommendation type, see handlers.js.
+ * @param {Array<Object>} recommendations The filtered recommendations.
+ * @param {Object} options { state, getTarget } with the Terraform state, which
+ *        is needed for label conditions, and a function that returns the
+ *        target of a recommendation.
+ * @returns {Object} { recommendations, skipped: [{ id, target, rule, reason }],
+ *          warnings: Map of recommendation ID to warnings }
+ */
+const applyPolicy = (policy, handler, recommendations, { state, getTarget }) => {
+  const result = { recommendations: [], skipped: [], warnings: new Map() };
+  if (!policy) {
+    return { ...result, recommendations };
+  }
+
+  recommendations.forEach(recommendation => {
+    const id = recommendation.recommendationID;
+    const target = getTarget(recommendation);
+    const facts = { type: handler.type, target, labels: () => getStateLabels(state, target) };
+
+    for (const rule of policy.rules) {
+      const reason = matchRule(rule, recommendation, facts);
+      if (!reason) {
+        continue;
+      }
+      if (rule.action === 'warn') {
+        result.warnings.set(id, [
+          ...(result.warnings.get(id) || []),
+          `Policy rule ${rule.name}: ${reason}`,
+        ]);
+        continue;
+      }
+      result.skipped.push({ id, target, rule: rule.name, reason });
+      return;
+    }
+    result.recommendations.push(recommendation);
+  });
+
+  return result;
+};
+
+/**
+ * Limits the recommendations of a pull request to maxChangesPerPullRequest.
+ * The first ones are kept.
+ *
+ * @param {Object|null} policy The policy, see loadPolicy.
+ * @param {Array<Object>} recommendations The recommendations of the pull request.
+ * @param {Function} getTarget Returns the target of a recommendation.
+ * @returns {Object} { recommendations, skipped: [{ id, target, rule, reason }] }
+ */
+const limitChanges = (policy, recommendations, getTarget) => {
+  const max = policy?.maxChangesPerPullRequest;
+  if (max === undefined || recommendations.length <= max) {
+    return { recommendations, skipped: [] };
+  }
+
+  return {
+    recommendations: recommendations.slice(0, max),
+    skipped: recommendations.slice(max).map(recommendation => ({
+      id: recommendation.recommendationID,
+      target: getTarget(recommendation),
+      rule: 'maxChangesPerPullRequest',
+      reason: `more than ${max} changes in the pull request`,
+    })),
+  };
+};
+
+export {
+  POLICY_FILE,
+  loadPolicy,
+  applyPolicy,
+  limitChanges,
+};
@@ -21,95 +21,186 @@
  */
 
 
-import { google } from 'googleapis';
-import axios from 'axios';
-import sampleRecommendationVM from './stub/vm.json' assert {type:'json'};
-import sampleRecommendationIAM from './stub/iam.json' assert {type:'json'};
+import * as recommenderClient from './recommenderclient.js';
+
+const DEFAULT_FILTER = 'stateInfo.state = ACTIVE';
 
 /**
- * Asynchronously fetches and returns a Google authentication client.
- * 
- * @returns {Promise<GoogleAuth>} A promise that resolves to the Google authentication client.
+ * Resource types of IAM recommendations that the pipeline can apply, mapped
+ * to the kind of resource whose IAM policy is changed.
+ */
+const IAM_RESOURCE_KINDS = {
+  'cloudresourcemanager.googleapis.com/Project': 'project',
+  'cloudresourcemanager.googleapis.com/Folder': 'folder',
+  'cloudresourcemanager.googleapis.com/Organization': 'organization',
+  'iam.googleapis.com/ServiceAccount': 'serviceAccount',
+  'storage.googleapis.com/Bucket': 'bucket',
+};
+
+/**
+ * Asynchronously fetches recommendations from the Google Recommender API for
+ * every parent in every location. A parent whose recommendations cannot be
+ * fetched in a location does not fail the others; it is reported in the
+ * failures instead.
+ *
+ * @param {string} recommenderID The recommender, e.g. 'google.iam.policy.Recommender'.
+ * @param {Array<string>} parents The resources for which recommendations are fetched, as
+ *        'projects/<id>', 'folders/<id>' or 'organizations/<id>'.
+ * @param {Array<string>} locations The locations for which recommendations are fetched.
+ * @param {string} [filter] A Recommender API filter expression on e.g.
+ *        stateInfo.state, priority or recommenderSubtype.
+ * @returns {Promise<Object>} A promise that resolves to { recommendations: Array,
+ *        failures: [{ parent: string, location: string, error: string }] }.
  */
-const fetchAuthClient = async () => {
-  const auth = new google.auth.GoogleAuth({
-    scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+const fetchRecommendations = async (recommenderID, parents, locations, filter = DEFAULT_FILTER) => {
+  const calls = parents.flatMap((parent) => locations.map((location) => ({ parent, location })));
+  const results = await Promise.allSettled(calls.map(({ parent, location }) =>
+    recommenderClient.listRecommendations(parent, location, recommenderID, filter)));
+
+  const recommendations = [];
+  const failures = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      recommendations.push(...result.value);
+    } else {
+      const { parent, location } = calls[i];
+      const { response, message } = result.reason;
+      const error = response?.data?.error?.message || message;
+      console.error(`Could not fetch ${recommenderID} recommendations for ${parent} ` +
+        `in ${location}:`, error);
+      failures.push({ parent, location, error });
+    }
   });
-  return await auth.getClient();
+
+  return { recommendations, failures };
 };
 
 /**
- * Fetches recommendation stubs for testing purposes.
+ * Lists the recommendations of a recommendation type, fetched from the
+ * Recommender API or taken from the type's stub data, and filtered down to
+ * the ones the type can apply.
  * 
- * @param {string} type The type of recommendation to fetch ('VM' or 'IAM').
- * @returns {Promise<Object>} A promise that resolves to the recommendation data.
+ * @param {Object} handler The recommendation type, see handlers.js.
+ * @param {Array<string>} parents The resources to fetch recommendations for, as
+ *        'projects/<id>', 'folders/<id>' or 'organizations/<id>'.
+ * @param {boolean} isStub Whether to use stub data.
+ * @param {Array<string>} locations The locations for the recommendations.
+ * @param {string} [apiFilter] A Recommender API filter expression, by default
+ *        only active recommendations.
+ * @returns {Promise<Object>} A promise that resolves to the filtered
+ *        recommendations and the parents that failed, { recommendations, failures }.
  */
-const fetchRecommendationsStub = async (type) =>
-  type === 'VM' ? sampleRecommendationVM : sampleRecommendationIAM;
+const listRecommendations = async ({ type, recommenderID, stub, filter }, parents, isStub,
+  locations, apiFilter) => {
+  const { recommendations, failures } = isStub
+    ? { recommendations: stub, failures: [] }
+    : await fetchRecommendations(recommenderID, parents, locations, apiFilter);
+  const byName = new Map(recommendations.map((recommendation) => [recommendation.name, recommendation]));
+  const filtered = filter(recommendations);
+  console.log(`Completed listing ${type} recommendations`, JSON.stringify(filtered));
+  return {
+    recommendations: filtered.map((reco) => {
+      const recommendation = byName.get(reco.recommendationID);
+      return recommendation
+        ? { ...reco, details: getRecommendationDetails(recommendation, reco), raw: recommendation }
+        : reco;
+    }),
+    failures,
+  };
+};
 
 /**
- * Asynchronously fetches recommendations from the Google Recommender API or stubs based on the specified type.
+ * Returns the resource a filtered recommendation targets, used to suppress
+ * recommendations for resources whose changes were rejected. IAM
+ * recommendations target a member's role on a resource.
  *
- * @param {string} type The type of recommendations to fetch ('VM' or 'IAM').
- * @param {Array<string>} projects An array of project IDs for which recommendations are fetched.
- * @param {boolean} stub Determines whether to use stub data for recommendations.
- * @param {string} location The location for which recommendations are fetched.
- * @returns {Promise<Array>} A promise that resolves to an array of recommendations.
+ * @param {Object} recommendation A recommendation as returned by the filters.
+ * @returns {string|undefined} E.g. '//compute.googleapis.com/projects/p/zones/z/instances/i'.
  */
-const fetchRecommendations = async (type, projects, stub, location) => {
-  if (stub) return fetchRecommendationsStub(type);
-
-  const authClient = await fetchAuthClient();
-  const accessToken = await authClient.getAccessToken();
-
-  const typeURLPath = type === 'IAM'
-    ? 'google.iam.policy.Recommender'
-    : 'google.compute.instance.MachineTypeRecommender';
-
-  const recommendationPromises = projects.map((project) => axios.get(
-    `https://recommender.googleapis.com/v1beta1/projects/${project}/locations/${location}/recommenders/${typeURLPath}/recommendations`, {
-      headers: {
-        Authorization: `Bearer ${accessToken.token}`,
-        'x-goog-user-project': project,
-      },
-    })
-  );
-
-  const recommendationsFromAPI = await Promise.all(recommendationPromises);
-  return recommendationsFromAPI
-    .map(({ data }) => data)
-    .filter((r) => r.recommendations)
-    .flatMap((r) => r.recommendations);
+const getRecommendationTarget = (recommendation) => {
+  const { instanceID, instanceGroupManagerID, resourceID, member, role } = recommendation;
+  if (member && role) {
+    return `${resourceID} ${member} ${role}`;
+  }
+  return instanceID || instanceGroupManagerID || resourceID;
 };
 
 /**
- * Lists VM resize recommendations for the given project IDs.
- * 
- * @param {Array<string>} projectIDs An array of project IDs to fetch VM resize recommendations for.
- * @param {boolean} isStub Whether to use stub data.
- * @param {string} location The location for the recommendations.
- * @returns {Promise<Array>} A promise that resolves to an array of VM resize recommendations.
+ * Returns the last part of a resource path, e.g. the machine type of
+ * 'zones/us-central1-f/machineTypes/f1-micro'.
+ *
+ * @param {*} value An operation value.
+ * @returns {*} The last part, or the value if it is not a string.
  */
-const listVMResizeRecommendations = async (projectIDs, isStub, location) => {
-  const recommendations = await fetchRecommendations('VM', projectIDs, isStub, location);
-  const vmsToSize = filterVMSizeRecommendations(recommendations);
-  console.log('Completed listVMResizeRecommendations', JSON.stringify(vmsToSize));
-  return vmsToSize;
+const lastPathSegment = (value) =>
+  typeof value === 'string' ? value.split('/').pop() : value;
+
+/**
+ * Projects a cost over a month.
+ *
+ * @param {Object} costProjection { cost: { currencyCode, units, nanos }, duration }
+ *        where duration is '2592000s' or { seconds }.
+ * @returns {Object|undefined} { amount, currencyCode }, negative for savings.
+ */
+const getMonthlyCost = ({ cost, duration } = {}) => {
+  if (!cost) {
+    return undefined;
+  }
+  const amount = Number(cost.units || 0) + Number(cost.nanos || 0) / 1e9;
+  const seconds = typeof duration === 'object'
+    ? Number(duration.seconds)
+    : Number(String(duration || '').replace(/s$/, ''));
+  const month = 30 * 86400;
+  return {
+    amount: seconds > 0 ? amount * month / seconds : amount,
+    currencyCode: cost.currencyCode || 'USD',
+  };
 };
 
 /**
- * Lists IAM recommendations for the given project IDs.
- * 
- * @param {Array<string>} projectIDs An array of project IDs to fetch IAM recommendations for.
- * @param {boolean} isStub Whether to use stub data.
- * @param {string} location The location for the recommendations.
- * @returns {Promise<Array>} A promise that resolves to an array of IAM recommendations.
+ * Collects what a pull request needs to justify a recommendation: its
+ * description and priority, the current and recommended values, the monthly
+ * cost projection and, for IAM, how many of the granted permissions are used.
+ *
+ * @param {Object} recommendation The recommendation from the API.
+ * @param {Object} filtered The recommendation as returned by the filters.
+ * @returns {Object} { description, priority, subtype, current, recommended,
+ *          monthlyCost, permissions, member, role, adds }
  */
-const listIAMRecommendations = async (projectIDs, isStub, location) => {
-  const recommendations = await fetchRecommendations('IAM', projectIDs, isStub, location);
-  const iamRecommendations = filterIAMRecommendations(recommendations);
-  console.log('Completed listIAMRecommendations', JSON.stringify(iamRecommendations));
-  return iamRecommendations;
+const getRecommendationDetails = (recommendation, filtered = {}) => {
+  const { description, priority, recommenderSubtype, primaryImpact = {}, content = {} } = recommendation;
+  const justification = content.justification || {};
+  const overview = content.overview || {};
+  const details = { description, priority, subtype: recommenderSubtype };
+
+  const operations = (content.operationGroups || []).flatMap(({ operations }) => operations || []);
+  const change = operations.find(({ action, path }) =>
+    ['replace', 'remove'].includes(action) && !String(path).startsWith('/iamPolicy'));
+  if (change) {
+    const test = operations.find(({ action, path, resource }) =>
+      action === 'test' && path === change.path && resource === change.resource);
+    details.current = test ? lastPathSegment(test.value) : undefined;
+    details.recommended = change.action === 'remove' ? 'remove' : lastPathSegment(change.value);
+  }
+
+  details.monthlyCost = getMonthlyCost(primaryImpact.costProjection);
+
+  const granted = justification.currentTotalPermissionsCount ?? justification.numGrantedPermissions ??
+    overview.currentTotalPermissionsCount;
+  const used = justification.usedPermissionsCount ?? justification.numUsedPermissions ??
+    overview.exercisedPermissionsCount;
+  if (granted !== undefined) {
+    details.permissions = {
+      used: used !== undefined ? Number(used) : undefined,
+      granted: Number(granted),
+      afterChange: justification.recommendedTotalPermissionsCount !== undefined
+        ? Number(justification.recommendedTotalPermissionsCount)
+        : undefined,
+    };
+  }
+
+  const { member, role, adds } = filtered;
+  return JSON.parse(JSON.stringify({ ...details, member, role, adds }));
 };
 
 /**
@@ -117,21 +208,12 @@ const listIAMRecommendations = async (projectIDs, isStub, location) => {
  * 
  * @param {Array<Object>} recommendationsIDsAndETags An array of objects containing recommendation IDs and their corresponding ETags.
  * @param {string} newStatus The new status to set for the recommendations.
+ * @param {Object} [stateMetadata] Metadata to store with the status, e.g. { logUrl }.
  * @returns {Promise<void>} A promise that resolves when the status updates are complete.
  */
-const setRecommendationStatus = async (recommendationsIDsAndETags, newStatus) => {
-  const authClient = await fetchAuthClient();
-  const accessToken = await authClient.getAccessToken();
-
-  const promises = recommendationsIDsAndETags.map(({ id, etag }) => axios.post(
-    `https://recommender.googleapis.com/v1beta1/${id}:${newStatus}`, {
-      etag,
-    }, {
-      headers: {
-        Authorization: `Bearer ${accessToken.token}`,
-        'x-goog-user-project': id.split('/')[1],
-      },
-    }).catch(function (error) {
+const setRecommendationStatus = async (recommendationsIDsAndETags, newStatus, stateMetadata) => {
+  const promises = recommendationsIDsAndETags.map(({ id, etag }) =>
+    recommenderClient.markRecommendation(id, etag, newStatus, stateMetadata).catch(function (error) {
       if (error.response) {
         // The request was made and the server responded with a status code
         // that falls out of the range of 2xx
@@ -160,22 +242,8 @@ const setRecommendationStatus = async (recommendationsIDsAndETags, newStatus) =>
  * @param {Array<string>} recommendationIDs An array of recommendation IDs to fetch details for.
  * @returns {Promise<Array>} A promise that resolves to an array of recommendation details.
  */
-const getRecommendations = async (recommendationIDs) => {
-  const authClient = await fetchAuthClient();
-  const accessToken = await authClient.getAccessToken();
-
-  const promises = recommendationIDs.map((id) => axios.get(
-    `https://recommender.googleapis.com/v1beta1/${id}`, {
-      headers: {
-        Authorization: `Bearer ${accessToken.token}`,
-        'x-goog-user-project': id.split('/')[1],
-      },
-    }
-  ));
-
-  const results = await Promise.all(promises);
-  return results.map(({ data }) => data);
-};
+const getRecommendations = async (recommendationIDs) =>
+  Promise.all(recommendationIDs.map((id) => recommenderClient.getRecommendation(id)));
 
 /**
  * Review the recommendations payload to create an array of instances for
@@ -216,10 +284,165 @@ const filterVMSizeRecommendations = (recommendations) => {
 
   return vmsToResize
 }
+/**
+ * Filters and processes managed instance group rightsizing recommendations.
+ * These change the machine type of the group's instance template.
+ *
+ * @param {Array<Object>} recommendations An array of recommendation objects to be processed.
+ * @returns {Array<Object>} An array of instance groups to resize.
+ */
+const filterMIGSizeRecommendations = (recommendations) => {
+  const migsToResize = []
+  recommendations.forEach(recommendation => {
+    if (recommendation.stateInfo.state == "ACTIVE") {
+      recommendation.content.operationGroups.forEach(group => {
+        group.operations.forEach(operation => {
+          if (operation.action == 'replace' &&
+              operation.resourceType == 'compute.googleapis.com/InstanceGroupManager' &&
+              operation.path.endsWith('/machineType')) {
+            migsToResize.push({
+              instanceGroupManagerID: operation.resource,
+              size: operation.value.split('/').pop(),
+              recommendationID: recommendation.name,
+              recommendationETAG: recommendation.etag
+            })
+          }
+        })
+      })
+    }
+  })
+
+  return migsToResize
+}
 
+/**
+ * Filters and processes overprovisioned Cloud SQL instance recommendations,
+ * which change the tier of the instance.
+ *
+ * @param {Array<Object>} recommendations An array of recommendation objects to be processed.
+ * @returns {Array<Object>} An array of database instances with their recommended tier.
+ */
+const filterCloudSQLTierRecommendations = (recommendations) => {
+  const databasesToResize = []
+  recommendations.forEach(recommendation => {
+    if (recommendation.stateInfo.state == "ACTIVE") {
+      recommendation.content.operationGroups.forEach(group => {
+        group.operations.forEach(operation => {
+          if (operation.action == 'replace' &&
+              operation.resourceType == 'sqladmin.googleapis.com/Instance' &&
+              operation.path == '/settings/tier') {
+            databasesToResize.push({
+              instanceID: operation.resource,
+              size: operation.value,
+              recommendationID: recommendation.name,
+              recommendationETAG: recommendation.etag
+            })
+          }
+        })
+      })
+    }
+  })
+
+  return databasesToResize
+}
+
+/**
+ * Turns a duration such as '1209600s' into days, the unit idle periods are
+ * discussed in.
+ *
+ * @param {string} duration The duration in seconds, as returned by the API.
+ * @returns {string} The duration in days, or the input if it is not a duration.
+ */
+const formatDuration = (duration) => {
+  const match = /^(\d+(?:\.\d+)?)s$/.exec(duration)
+  if (!match) return duration
+  const days = Number(match[1]) / 86400
+  return `${Number(days.toFixed(1))} day${days === 1 ? '' : 's'}`
+}
+
+/**
+ * Collects the evidence an idle resource recommendation gives for the
+ * resource being idle: its description, the usage figures in the content
+ * overview and when it was last refreshed.
+ *
+ * @param {Object} recommendation The recommendation.
+ * @returns {Array<string>} The evidence, one line per fact.
+ */
+const getIdleEvidence = (recommendation) => {
+  const evidence = []
+  if (recommendation.description) {
+    evidence.push(recommendation.description)
+  }
+
+  const overview = (recommendation.content && recommendation.content.overview) || {}
+  Object.entries(overview).forEach(([key, value]) => {
+    if (['resource', 'resourceName'].includes(key) || typeof value === 'object') {
+      return
+    }
+    const label = key.replace(/([A-Z])/g, ' $1').toLowerCase()
+    evidence.push(`${label[0].toUpperCase()}${label.slice(1)}: ${formatDuration(String(value))}`)
+  })
+
+  if (typeof recommendation.lastRefreshTime === 'string') {
+    evidence.push(`Last refreshed: ${recommendation.lastRefreshTime}`)
+  }
+  return evidence
+}
+
+/**
+ * Filters and processes idle resource recommendations, which stop an
+ * instance or delete a disk or address. The recommender subtype is kept, as
+ * it tells whether a disk should be snapshotted before it is deleted.
+ *
+ * @param {Array<Object>} recommendations An array of recommendation objects to be processed.
+ * @param {string} resourceType The API resource type, e.g. 'compute.googleapis.com/Disk'.
+ * @returns {Array<Object>} An array of idle resources with the evidence for each.
+ */
+const filterIdleResourceRecommendations = (recommendations, resourceType) => {
+  const idleResources = []
+  recommendations.forEach(recommendation => {
+    if (recommendation.stateInfo.state == "ACTIVE") {
+      recommendation.content.operationGroups.forEach(group => {
+        group.operations.forEach(operation => {
+          if (['replace', 'remove'].includes(operation.action) &&
+              operation.resourceType == resourceType) {
+            idleResources.push({
+              instanceID: operation.resource,
+              subtype: recommendation.recommenderSubtype,
+              evidence: getIdleEvidence(recommendation),
+              recommendationID: recommendation.name,
+              recommendationETAG: recommendation.etag
+            })
+          }
+        })
+      })
+    }
+  })
+
+  return idleResources
+}
+
+/**
+ * Gets the number of the project a recommendation was made for, from its
+ * name, e.g. 'projects/123/locations/global/...'.
+ *
+ * @param {Object} recommendation The recommendation.
+ * @param {string} fallback Returned when the name is not under a project.
+ * @returns {string} The project number.
+ */
+const getRecommendationProject = (recommendation, fallback) =>
+  recommendation.name.startsWith('projects/')
+    ? recommendation.name.split('/')[1]
+    : fallback
 
 /**
  * Filters and processes IAM recommendations from a given list of recommendations.
+ * Recommendations for projects, folders, organizations, service accounts and
+ * buckets are kept. resourceKind tells which of these the IAM policy belongs
+ * to and resourceID identifies it: the project ID, folder or organization
+ * ID, service account email or bucket name. For projects, project is the
+ * project number, taken from the name of the recommendation. adds lists the
+ * roles that replace the removed one, if any.
  * 
  * @param {Array<Object>} recommendations An array of recommendation objects to be processed.
  * @returns {Array<Object>} An array of processed IAM recommendations.
@@ -231,36 +454,43 @@ const filterIAMRecommendations = (recommendations) => {
     if (recommendation.stateInfo.state == 'ACTIVE') {
       recommendation.content.operationGroups.forEach(group => {
         group.operations.forEach(operation => {
+          const resourceKind = IAM_RESOURCE_KINDS[operation.resourceType]
           if (operation.action == 'remove' &&
-              operation.resourceType ==
-                'cloudresourcemanager.googleapis.com/Project' &&
+              resourceKind &&
               operation.path == '/iamPolicy/bindings/*/members/*') {
 
-            const project = recommendation.name.split('/')[1]
+            const resourceID = operation.resource.split('/').pop()
             const member =
               operation.pathFilters["/iamPolicy/bindings/*/members/*"]
             const role = operation.pathFilters["/iamPolicy/bindings/*/role"]
             const recommendationID = recommendation.name
             const recommendationETAG = recommendation.etag
-            let add = ''
-            // Find add recommendations for the same remove
+            const adds = []
+            // Find add recommendations for the same remove. A broad role is
+            // often replaced with several narrower ones
             group.operations.forEach(operation => {
               if (operation.action == 'add' &&
-                operation.resourceType ==
-                  'cloudresourcemanager.googleapis.com/Project' &&
                 operation.path == '/iamPolicy/bindings/*/members/-' &&
                 operation.value == member &&
-                operation.resource.split('/').pop() == project
+                operation.resource.split('/').pop() == resourceID
                 ) {
-                  add = operation.pathFilters["/iamPolicy/bindings/*/role"]
+                  const add =
+                    processRole(operation.pathFilters["/iamPolicy/bindings/*/role"])
+                  if (!adds.includes(add)) {
+                    adds.push(add)
+                  }
                 }
             })
 
             removeRecommendations.push({
-              project,
+              project: resourceKind == 'project'
+                ? getRecommendationProject(recommendation, resourceID)
+                : undefined,
+              resourceKind,
+              resourceID,
               member,
               role: processRole(role),
-              add: add ? processRole(add) : '',
+              adds,
               recommendationID,
               recommendationETAG
             })
@@ -286,8 +516,15 @@ const processRole = (role) => {
 };
 
 export {
-  listVMResizeRecommendations,
-  listIAMRecommendations,
+  fetchRecommendations,
+  listRecommendations,
   setRecommendationStatus,
   getRecommendations,
+  getRecommendationTarget,
+  getRecommendationDetails,
+  filterVMSizeRecommendations,
+  filterMIGSizeRecommendations,
+  filterCloudSQLTierRecommendations,
+  filterIdleResourceRecommendations,
+  filterIAMRecommendations,
 };
@@ -0,0 +1,193 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Recommenderclient.js (module) makes the calls to the Recommender API. It
+ * authenticates them, bills them to the right quota project, follows result
+ * pages and retries calls that are throttled or fail on the server.
+ * RECOMMENDER_API_URL points it at a fake server.
+ */
+
+import { google } from 'googleapis';
+import axios from 'axios';
+
+const API_URL = process.env.RECOMMENDER_API_URL || 'https://recommender.googleapis.com/v1beta1';
+const QUOTA_PROJECT = process.env.QUOTA_PROJECT;
+const MAX_RETRIES = Number(process.env.RECOMMENDER_MAX_RETRIES || 5);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 32000;
+
+/**
+ * Returns the project that Recommender API calls are billed to. Names of
+ * folder and organization recommendations contain no project, so those use
+ * the project set in the QUOTA_PROJECT environment variable.
+ *
+ * @param {string} name A parent such as 'projects/p' or a recommendation name.
+ * @returns {string|undefined} The quota project.
+ */
+const getQuotaProject = (name) =>
+  name.startsWith('projects/') ? name.split('/')[1] : QUOTA_PROJECT;
+
+/**
+ * Builds the headers for a Recommender API call.
+ *
+ * @param {Object} accessToken The access token of the authentication client.
+ * @param {string} name A parent such as 'projects/p' or a recommendation name.
+ * @returns {Object} The request headers.
+ */
+const getRequestHeaders = (accessToken, name) => {
+  const headers = { Authorization: `Bearer ${accessToken.token}` };
+  const quotaProject = getQuotaProject(name);
+  if (quotaProject) {
+    headers['x-goog-user-project'] = quotaProject;
+  }
+  return headers;
+};
+
+/**
+ * Asynchronously fetches and returns a Google authentication client.
+ *
+ * @returns {Promise<GoogleAuth>} A promise that resolves to the Google authentication client.
+ */
+const fetchAuthClient = async () => {
+  const auth = new google.auth.GoogleAuth({
+    scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+  });
+  return await auth.getClient();
+};
+
+/**
+ * Tells whether a failed call may succeed when it is made again: the API
+ * throttled it (429), failed on the server (5xx) or never answered.
+ *
+ * @param {Error} error The error axios rejected with.
+ * @returns {boolean} Whether to retry.
+ */
+const isRetryable = (error) => {
+  if (!error.response) {
+    return Boolean(error.request);
+  }
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+};
+
+/**
+ * Returns how long to wait before the next attempt. The wait grows
+ * exponentially with each attempt and is randomized ("full jitter") so that
+ * parallel calls do not retry in lockstep. A Retry-After header sent by the
+ * API takes precedence.
+ *
+ * @param {number} attempt The number of attempts made so far.
+ * @param {Error} error The error of the last attempt.
+ * @returns {number} The delay in milliseconds.
+ */
+const getRetryDelay = (attempt, error) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Calls the Recommender API, retrying with backoff while the call fails with
+ * a retryable error and MAX_RETRIES is not reached.
+ *
+ * @param {Object} config The axios request config, with url relative to the API.
+ * @param {string} name The parent or recommendation the call is for, which
+ *        decides the quota project.
+ * @returns {Promise<Object>} The response data.
+ */
+const request = async (config, name) => {
+  const authClient = await fetchAuthClient();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const accessToken = await authClient.getAccessToken();
+      const { data } = await axios.request({
+        ...config,
+        url: `${API_URL}/${config.url}`,
+        headers: getRequestHeaders(accessToken, name),
+      });
+      return data;
+    } catch (error) {
+      if (attempt > MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(attempt, error);
+      console.log(`Retrying ${config.method || 'get'} ${config.url} in ${delay}ms ` +
+        `after ${error.response ? `status ${error.response.status}` : error.message}`);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Lists the recommendations of a recommender for a parent, following every
+ * result page.
+ *
+ * @param {string} parent E.g. 'projects/p', 'folders/123' or 'organizations/456'.
+ * @param {string} location The location, e.g. 'us-central1-b' or 'global'.
+ * @param {string} recommenderID The recommender, e.g. 'google.iam.policy.Recommender'.
+ * @param {string} [filter] A filter expression, e.g.
+ *        'stateInfo.state = ACTIVE AND priority = P1'.
+ * @returns {Promise<Array<Object>>} The recommendations.
+ */
+const listRecommendations = async (parent, location, recommenderID, filter) => {
+  const recommendations = [];
+  let pageToken;
+
+  do {
+    const data = await request({
+      url: `${parent}/locations/${location}/recommenders/${recommenderID}/recommendations`,
+      params: { filter, pageToken },
+    }, parent);
+    recommendations.push(...(data.recommendations || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return recommendations;
+};
+
+/**
+ * Gets a recommendation.
+ *
+ * @param {string} name The recommendation name.
+ * @returns {Promise<Object>} The recommendation.
+ */
+const getRecommendation = (name) => request({ url: name }, name);
+
+/**
+ * Changes the state of a recommendation, e.g. with markClaimed.
+ *
+ * @param {string} name The recommendation name.
+ * @param {string} etag The etag of the recommendation.
+ * @param {string} method The state change, e.g. 'markClaimed' or 'markSucceeded'.
+ * @param {Object} [stateMetadata] String key-value pairs stored with the
+ *        state, e.g. the URL of a build log.
+ * @returns {Promise<Object>} The updated recommendation.
+ */
+const markRecommendation = (name, etag, method, stateMetadata) =>
+  request({ method: 'post', url: `${name}:${method}`, data: { etag, stateMetadata } }, name);
+
+export {
+  listRecommendations,
+  getRecommendation,
+  markRecommendation,
+};
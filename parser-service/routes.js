@@ -23,15 +23,378 @@ import * as recommender from './recommender.js';
 import * as terraform from './terraform.js';
 import * as sourceControl from './sourcecontrol.js';
 import * as github from './github.js';
+import * as scm from './scm.js';
 import * as db from './db.js';
+import * as handlers from './handlers.js';
+import * as policyEngine from './policy.js';
+import * as codeOwners from './codeowners.js';
+import { describeChanges } from './description.js';
 
-const BASE_REPO = process.env.GITHUB_ACCOUNT;
+const REVERT_FAILED_BUILDS = process.env.REVERT_FAILED_BUILDS === 'true';
+const FAILED_BUILD_STATUSES = ['FAILURE', 'INTERNAL_ERROR', 'TIMEOUT', 'CANCELLED'];
+const SUPPRESS_DISMISSED_TARGETS = process.env.SUPPRESS_DISMISSED_TARGETS === 'true';
+const GROUPINGS = ['single', 'per-project', 'per-file', 'per-recommendation'];
+const PULL_REQUEST_LABELS = (process.env.PULL_REQUEST_LABELS || '').split(',')
+  .map((label) => label.trim()).filter(Boolean);
+
+/**
+ * Lists the recommendations of a request: those of the handler's recommender
+ * for the parents and locations the request asks for, leaving out those that
+ * target a resource on the repo's suppression list.
+ *
+ * @param {Object} handler The recommendation type, see handlers.js
+ * @param {Object} body The request body
+ * @returns {Promise<Object>} { context, recommendations, failures, allFailed }
+ *          where allFailed tells that no parent could be fetched at all
+ */
+const listRequestedRecommendations = async (handler, body) => {
+  const { stub, filter } = body;
+  const context = { isStub: Boolean(stub), body };
+  const parents = handlers.getParents(handler, body);
+  const locations = await handlers.getLocations(handler, context);
+  const { recommendations, failures } = await recommender.listRecommendations(
+    handler, parents, Boolean(stub), locations, filter);
+  const suppressed = new Set(await db.getSuppressedTargets(body.repo));
+
+  return {
+    context,
+    recommendations: recommendations.filter((reco) =>
+      !suppressed.has(handlers.getTarget(handler, reco))),
+    failures,
+    allFailed: failures.length > 0 && failures.length === parents.length * locations.length,
+  };
+};
+
+const logSkipped = ({ id, rule, reason }) =>
+  console.log(`Policy rule ${rule} skipped ${id}: ${reason}`);
+
+/**
+ * Checks recommendations against the policy file of a cloned repo. The
+ * Terraform state is only fetched when a rule needs resource labels, and is
+ * kept in the context for applying the recommendations. The policy is kept
+ * in the context too, to limit the changes of each pull request.
+ *
+ * @param {Object} handler The recommendation type, see handlers.js
+ * @param {string} repoName The name of the cloned repo
+ * @param {Array<Object>} recommendations The listed recommendations
+ * @param {Object} context { isStub, body, state, policy } of the request
+ * @returns {Promise<Object>} { recommendations, skipped, warnings }, see policy.applyPolicy
+ */
+const checkPolicy = async (handler, repoName, recommendations, context) => {
+  const policy = await policyEngine.loadPolicy(`${terraform.GIT_WORK_DIR_PATH}/${repoName}`);
+  context.policy = policy;
+  if (policy && policy.rules.some((rule) => rule.labels) && !context.state) {
+    context.state = await terraform.getTFState();
+  }
+
+  const result = policyEngine.applyPolicy(policy, handler, recommendations, {
+    state: context.state,
+    getTarget: (reco) => handlers.getTarget(handler, reco),
+  });
+  result.skipped.forEach(logSkipped);
+  return result;
+};
+
+/**
+ * Limits the recommendations of a pull request to the maxChangesPerPullRequest
+ * of the policy checked by checkPolicy.
+ *
+ * @param {Object} handler The recommendation type, see handlers.js
+ * @param {Array<Object>} recommendations The recommendations of the pull request
+ * @param {Object} context { policy } of the request
+ * @returns {Object} { recommendations, skipped }, see policy.limitChanges
+ */
+const limitChanges = (handler, recommendations, context) => {
+  const result = policyEngine.limitChanges(context.policy, recommendations,
+    (reco) => handlers.getTarget(handler, reco));
+  result.skipped.forEach(logSkipped);
+  return result;
+};
+
+/**
+ * Lists the recommendations that were not applied and why: either they
+ * matched no resource in the Terraform state, the resource they matched
+ * could not be traced to the Terraform files, or the type left it as it is
+ * and gave it a skipReason.
+ *
+ * @param {Array<Object>} recommendations The listed recommendations
+ * @param {Array<Object>} resources The resources they matched in the state
+ * @param {Array<Object>} recommendationsToClaim The claimed recommendations
+ * @returns {Array<Object>} [{ id, reason }]
+ */
+const getSkippedRecommendations = (recommendations, resources, recommendationsToClaim) => {
+  const matched = new Set(resources.map(({ recommendationID }) => recommendationID));
+  const claimed = new Set(recommendationsToClaim.map(({ id }) => id));
+  const skipReasons = new Map(resources.filter(({ skipReason }) => skipReason)
+    .map(({ recommendationID, skipReason }) => [recommendationID, skipReason]));
+
+  return [...new Set(recommendations.map(({ recommendationID }) => recommendationID))]
+    .filter((id) => !claimed.has(id))
+    .map((id) => ({
+      id,
+      reason: skipReasons.get(id) || (matched.has(id)
+        ? 'No matching resource found in the Terraform files'
+        : 'No matching resource found in the Terraform state'),
+    }));
+};
+
+/**
+ * Finds an open pull request of the service into the same base branch for
+ * the same recommendations or resources, so that it is updated instead of
+ * opening a conflicting one. A stub run only finds those of stub runs, and
+ * other runs only those of other runs.
+ *
+ * @param {string} repoName The name of the repo
+ * @param {string} baseBranch The branch the changes are made on
+ * @param {Array<Object>} recommendations The listed recommendations
+ * @param {Set<string>} targets The resources they target
+ * @param {boolean} stub Whether the recommendations are stubs
+ * @returns {Promise<Object|null>} { number, branch, record } with the record
+ *          of the pull request in Firestore, or null
+ */
+const findOpenPullRequest = async (repoName, baseBranch, recommendations, targets, stub) => {
+  const ids = new Set(recommendations.map(({ recommendationID }) => recommendationID));
+  const pullRequests = (await scm.listOpenPullRequests(
+    scm.getRepository(repoName), sourceControl.CHANGES_BRANCH_PREFIX))
+    .filter(({ base }) => base === baseBranch);
+
+  for (const { number, branch } of pullRequests) {
+    const record = await db.getPullRequest(repoName, number, { stub });
+    if (record && (record.recommendationIDs.some((id) => ids.has(id)) ||
+        (record.targets || []).some((target) => targets.has(target)))) {
+      return { number, branch, record };
+    }
+  }
+  return null;
+};
+
+/**
+ * Merges newly claimed recommendations into those of an open pull request.
+ * Earlier claims for the same recommendation or resource are superseded, as
+ * the new changes are made on top of theirs.
+ *
+ * @param {Array<Object>} previousClaims The claims recorded for the pull request
+ * @param {Array<Object>} claims The new claims
+ * @returns {Array<Object>} The merged claims
+ */
+const mergeClaims = (previousClaims, claims) => {
+  const ids = new Set(claims.map(({ id }) => id));
+  const targets = new Set(claims.map(({ target }) => target).filter(Boolean));
+  return [
+    ...previousClaims.filter(({ id, target }) => !ids.has(id) && !targets.has(target)),
+    ...claims,
+  ];
+};
+
+/**
+ * Groups recommendations by the files their changes touch. Recommendations
+ * that change a common file end up in the same group, so that the pull
+ * requests of different groups never change the same file. A
+ * recommendation whose changes name no file is grouped by the address of its
+ * resource instead, or else by its ID.
+ *
+ * @param {Array<Object>} recommendationsToClaim The claimed recommendations,
+ *        with the changes made to the Terraform files
+ * @returns {Map<string, string>} The group of each recommendation ID, named
+ *          after the files of the group
+ */
+const groupByFile = (recommendationsToClaim) => {
+  const filesByID = new Map();
+  recommendationsToClaim.forEach(({ id, changes = [] }) => filesByID.set(id,
+    new Set([...(filesByID.get(id) || []), ...changes.map(({ file }) => file).filter(Boolean)])));
+  recommendationsToClaim.forEach(({ id, resource }) => {
+    if (filesByID.get(id).size === 0) {
+      filesByID.set(id, new Set([resource || id]));
+    }
+  });
+
+  let groups = [];
+  filesByID.forEach((files, id) => {
+    const overlapping = groups.filter((group) => [...files].some((file) => group.files.has(file)));
+    groups = groups.filter((group) => !overlapping.includes(group));
+    groups.push(overlapping.reduce((merged, group) => ({
+      ids: new Set([...merged.ids, ...group.ids]),
+      files: new Set([...merged.files, ...group.files]),
+    }), { ids: new Set([id]), files }));
+  });
+
+  const groupByID = new Map();
+  groups.forEach(({ ids, files }) => {
+    const name = [...files].sort().join(', ');
+    ids.forEach((id) => groupByID.set(id, name));
+  });
+  return groupByID;
+};
+
+/**
+ * Splits recommendations into the groups that get a pull request each:
+ * - single: one group
+ * - per-project: a group per project, folder or organization
+ * - per-file: a group per Terraform file, found by applying all
+ *   recommendations once, see groupByFile. Recommendations that this dry
+ *   run cannot apply are left out, with the reason in the log
+ * - per-recommendation: a group per recommendation
+ *
+ * @param {Object} handler The recommendation type, see handlers.js
+ * @param {string} repoName The name of the cloned repo
+ * @param {Array<Object>} recommendations The recommendations to apply
+ * @param {string} grouping One of GROUPINGS
+ * @param {Object} context { isStub, body, state, baseBranch } of the request
+ * @returns {Promise<Array<Object>>} The groups, [{ name, recommendations }]
+ */
+const groupRecommendations = async (handler, repoName, recommendations, grouping, context) => {
+  let getGroup;
+  if (grouping === 'per-project') {
+    getGroup = ({ recommendationID }) => recommendationID.split('/').slice(0, 2).join('/');
+  } else if (grouping === 'per-recommendation') {
+    getGroup = ({ recommendationID }) => recommendationID;
+  } else if (grouping === 'per-file') {
+    // The dry run is undone even when it fails, so the groups start from
+    // the cloned branch
+    let applied;
+    try {
+      applied = await terraform.applyRecommendations(handler, repoName, recommendations, context);
+    } finally {
+      await sourceControl.resetRepository(repoName, context.baseBranch);
+    }
+    const { resources, recommendationsToClaim } = applied;
+    const groupByID = groupByFile(recommendationsToClaim);
+    getSkippedRecommendations(recommendations, resources, recommendationsToClaim)
+      .forEach(({ id, reason }) => console.log(`Leaving ${id} out of the pull requests: ${reason}`));
+    getGroup = ({ recommendationID }) => groupByID.get(recommendationID);
+  } else {
+    getGroup = () => '';
+  }
+
+  const groups = new Map();
+  recommendations.forEach((reco) => {
+    const group = getGroup(reco);
+    if (group !== undefined) {
+      groups.set(group, [...(groups.get(group) || []), reco]);
+    }
+  });
+  return [...groups].map(([name, members]) => ({
+    // A recommendation is named after the resource it targets
+    name: grouping === 'per-recommendation' ? handlers.getTarget(handler, members[0]) || name : name,
+    recommendations: members,
+  }));
+};
+
+/**
+ * Applies a group of recommendations to the cloned repo, starting from the
+ * cloned branch, and opens a pull request for them into that branch, with the
+ * labels, assignees and reviewers of the request and reviews requested from
+ * the code owners of the changed files. If an open pull request of the
+ * service covers the same recommendations or resources, its branch is
+ * rebased and updated instead of opening another one. The recommendations
+ * that are applied are marked as claimed.
+ *
+ * @param {Object} handler The recommendation type, see handlers.js
+ * @param {string} repoName The name of the cloned repo
+ * @param {string} group The name of the group, '' if there is a single group
+ * @param {Array<Object>} recommendations The recommendations of the group
+ * @param {Object} options { context, failures, skippedByPolicy, policyWarnings, branchSuffix }
+ *        with the context of the request, what to report in the description
+ *        and what tells apart the branches of the groups
+ * @returns {Promise<number|null>} The number of the pull request, or null if
+ *          nothing was applied
+ */
+const applyGroup = async (handler, repoName, group, recommendations, options) => {
+  const { context, failures, skippedByPolicy, policyWarnings, branchSuffix } = options;
+  const { isStub: stub, body, baseBranch } = context;
+  const repository = scm.getRepository(repoName);
+  await sourceControl.resetRepository(repoName, baseBranch);
+
+  const recommendationsByID = new Map(recommendations.map((reco) => [reco.recommendationID, reco]));
+  const targetsByID = new Map(recommendations.map((reco) =>
+    [reco.recommendationID, handlers.getTarget(handler, reco)]));
+  const openPullRequest = await findOpenPullRequest(repoName, baseBranch,
+    recommendations, new Set([...targetsByID.values()].filter(Boolean)), stub);
+  const onOpenBranch = Boolean(openPullRequest) &&
+    await sourceControl.checkoutBranch(repoName, openPullRequest.branch);
+
+  const { resources, recommendationsToClaim } = await terraform.applyRecommendations(
+    handler, repoName, recommendations, context);
+  getSkippedRecommendations(recommendations, resources, recommendationsToClaim)
+    .forEach(({ id, reason }) => console.log(`Leaving ${id} out of the pull request: ${reason}`));
+
+  if (recommendationsToClaim.length === 0) {
+    return null;
+  }
+
+  const commitMessage = `${handler.title}${group ? ` for ${group}` : ''} as on ${new Date().toLocaleString()}`;
+  const claims = recommendationsToClaim.map((reco) => ({
+    ...reco,
+    target: targetsByID.get(reco.id),
+    details: recommendationsByID.get(reco.id)?.details,
+    raw: recommendationsByID.get(reco.id)?.raw,
+    warnings: [...(reco.warnings || []), ...(policyWarnings.get(reco.id) || [])],
+  }));
+  const files = [...new Set(claims.flatMap(({ changes = [] }) => changes.map(({ file }) => file)))];
+  const reviewers = [
+    ...(body.reviewers || []),
+    ...await codeOwners.getCodeOwners(`${terraform.GIT_WORK_DIR_PATH}/${repoName}`, files),
+  ];
+
+  let number;
+  if (onOpenBranch) {
+    const commit = await sourceControl.commitChanges(
+      commitMessage, repoName, openPullRequest.branch);
+    const { record } = openPullRequest;
+    const mergedClaims = mergeClaims(record.claims || [], claims);
+    number = openPullRequest.number;
+
+    await scm.updatePullRequest(repository, number,
+      commitMessage, describeChanges(commitMessage, mergedClaims, failures, skippedByPolicy));
+    await scm.requestReviewers(repository, number, reviewers);
+
+    const etags = new Map(record.recommendationIDs.map((id, i) =>
+      [id, record.recommendationEtags[i]]));
+    claims.forEach(({ id, etag }) => etags.set(id, etag));
+
+    await db.updatePullRequest(repoName, number, {
+      headSha: commit.sha,
+      targets: [...new Set(mergedClaims.map(({ target }) => target).filter(Boolean))],
+      recommendationIDs: [...etags.keys()],
+      recommendationEtags: [...etags.values()],
+      claims: db.toClaimRecords(mergedClaims),
+    });
+  } else {
+    const commit = await sourceControl.commitChanges(commitMessage, repoName,
+      sourceControl.createBranchName(sourceControl.CHANGES_BRANCH_PREFIX, branchSuffix));
+
+    const pullRequest = await scm.createPullRequest(repository, commit.branch, commitMessage,
+      describeChanges(commitMessage, claims, failures, skippedByPolicy), {
+        base: baseBranch,
+        labels: body.labels || PULL_REQUEST_LABELS,
+        assignees: body.assignees || [],
+        reviewers,
+      });
+    number = pullRequest.number;
+
+    const targets = [...new Set(claims.map(({ target }) => target).filter(Boolean))];
+
+    await db.createPullRequest(repoName,
+      { number, branch: commit.branch, baseBranch, headSha: commit.sha, targets },
+      claims, stub);
+  }
+
+  if (!stub) {
+    await recommender.setRecommendationStatus(recommendationsToClaim, 'markClaimed');
+  }
+  return number;
+};
 
 /**
  * This function fetches recommendations from the Recommender API. It invokes
  * supporting methods to filter and parse these recommendations, download
- * supporting files, committing to Git, generating a pull request and updating
- * the Recommender API to mark recommendation status as Claimed.
+ * supporting files, committing to Git, generating pull requests and updating
+ * the Recommender API to mark recommendation status as Claimed. The grouping
+ * of the request body decides whether the changes go in a single pull request
+ * or in one per project, file or recommendation, so that each can be merged
+ * or rejected on its own. The changes are made on the baseBranch of the
+ * request body, by default the default branch of the repo, and the labels,
+ * assignees and reviewers of the body are set on the pull requests.
  *
  * @param req is the request object
  * @param res is the response object
@@ -39,60 +402,217 @@ const BASE_REPO = process.env.GITHUB_ACCOUNT;
 const applyRecommendations = async (req, res) => {
   try {
     const { body, params } = req;
-    const { repo: repoName, projects: projectIDs, location, stub } = body;
-    const type = params.type.toUpperCase();
-    let listRecommendationsFn, applyRecommendationsFn;
+    const { repo: repoName, grouping = 'single' } = body;
+    const handler = handlers.getHandler(params.type);
 
-    switch (type) {
-      case 'VM':
-        listRecommendationsFn = recommender.listVMResizeRecommendations;
-        applyRecommendationsFn = terraform.applyVMResizeRecommendations;
-        break;
-      case 'IAM':
-        listRecommendationsFn = recommender.listIAMRecommendations;
-        applyRecommendationsFn = terraform.applyIAMRecommendations;
-        break;
-      default:
-        return res.status(500).send('Unknown operation');
+    if (!handler) {
+      return res.status(500).send('Unknown operation');
+    }
+    if (!GROUPINGS.includes(grouping)) {
+      return res.status(400).send(`Unknown grouping ${grouping}, expected one of ${GROUPINGS.join(', ')}`);
     }
 
-    const recommendations = await listRecommendationsFn(projectIDs, Boolean(stub), location);
+    const { context, recommendations: listed, failures, allFailed } =
+      await listRequestedRecommendations(handler, body);
 
-    if (recommendations.length === 0) {
-      return res.end('Nothing to apply');
+    if (allFailed) {
+      return res.status(500).json({ failures });
     }
 
-    await sourceControl.cloneRepository(`git@${BASE_REPO}/${repoName}.git`, repoName);
+    if (listed.length === 0) {
+      return failures.length > 0 ? res.json({ failures }) : res.end('Nothing to apply');
+    }
 
-    const recommendationsToClaim = await applyRecommendationsFn(repoName, recommendations, Boolean(stub));
+    context.baseBranch = await sourceControl.cloneRepository(
+      scm.getRepository(repoName).cloneURL, repoName, body.baseBranch);
 
-    if (recommendationsToClaim.length > 0) {
-      const commitMessage = type === 'VM'
-        ? `Recommended VM Rightsizing as on ${new Date().toLocaleString()}`
-        : `Recommended IAM Updates as on ${new Date().toLocaleString()}`;
+    const { recommendations, skipped: skippedByPolicy, warnings: policyWarnings } =
+      await checkPolicy(handler, repoName, listed, context);
 
-      const commit = await sourceControl.commitChanges(commitMessage, repoName);
+    const groups = await groupRecommendations(handler, repoName, recommendations, grouping, context);
+    const pullRequests = [];
+    const skippedByLimit = [];
+    for (const [i, group] of groups.entries()) {
+      const limited = limitChanges(handler, group.recommendations, context);
+      skippedByLimit.push(...limited.skipped);
+      const number = await applyGroup(handler, repoName, group.name, limited.recommendations, {
+        context,
+        failures,
+        skippedByPolicy: [...skippedByPolicy, ...limited.skipped],
+        policyWarnings,
+        branchSuffix: groups.length > 1 ? i + 1 : undefined,
+      });
+      if (number !== null) {
+        pullRequests.push(number);
+      }
+    }
 
-      await github.createPullRequest(`git@${BASE_REPO}/${repoName}.git`, commit.branch, commitMessage);
+    res.status(201).json({ pullRequests, failures, skippedByPolicy: [...skippedByPolicy, ...skippedByLimit] });
+  } catch (e) {
+    console.error(e);
+    res.sendStatus(500).end(e.toString());
+  }
+};
 
-      await db.createCommit(repoName, commit.commit, recommendationsToClaim, Boolean(stub));
+/**
+ * Previews what applyRecommendations would do, without side effects. It
+ * lists, matches and applies the recommendations in a scratch clone of the
+ * repository, which is deleted afterwards, and reports the changes as a
+ * unified diff per file. Nothing is committed, pushed, stored in Firestore or
+ * claimed.
+ *
+ * @param req is the request object
+ * @param res is the response object
+ */
+const previewRecommendations = async (req, res) => {
+  const { body, params } = req;
+  const handler = handlers.getHandler(params.type);
 
-      if (!stub) {
-        await recommender.setRecommendationStatus(recommendationsToClaim, 'markClaimed');
-      }
+  if (!handler) {
+    return res.status(500).send('Unknown operation');
+  }
+
+  const previewName = `${body.repo}-preview-${Date.now()}`;
+  try {
+    const { context, recommendations, failures, allFailed } =
+      await listRequestedRecommendations(handler, body);
+
+    if (allFailed) {
+      return res.status(500).json({ failures });
+    }
+
+    let allowed = [];
+    let resources = [];
+    let recommendationsToClaim = [];
+    let files = [];
+    let skippedByPolicy = [];
+    let policyWarnings = new Map();
+    if (recommendations.length > 0) {
+      await sourceControl.cloneRepository(scm.getRepository(body.repo).cloneURL, previewName,
+        body.baseBranch);
+      ({ recommendations: allowed, skipped: skippedByPolicy, warnings: policyWarnings } =
+        await checkPolicy(handler, previewName, recommendations, context));
+      // The preview applies all recommendations as one pull request
+      const limited = limitChanges(handler, allowed, context);
+      allowed = limited.recommendations;
+      skippedByPolicy = [...skippedByPolicy, ...limited.skipped];
+      ({ resources, recommendationsToClaim } = await terraform.applyRecommendations(
+        handler, previewName, allowed, context));
+      files = await sourceControl.getDiff(previewName);
     }
 
-    res.sendStatus(201).end();
+    const byID = new Map(allowed.map((reco) => [reco.recommendationID, reco]));
+    const claims = recommendationsToClaim.map((reco) => ({
+      ...reco,
+      target: handlers.getTarget(handler, byID.get(reco.id) || {}),
+      details: byID.get(reco.id)?.details,
+      raw: byID.get(reco.id)?.raw,
+      warnings: [...(reco.warnings || []), ...(policyWarnings.get(reco.id) || [])],
+    }));
+
+    res.json({
+      type: handler.type,
+      title: handler.title,
+      description: describeChanges(handler.title, claims, failures, skippedByPolicy),
+      files,
+      applied: claims.map(({ id, changes, warnings, evidence }) => ({ id, changes, warnings, evidence })),
+      skipped: [
+        ...skippedByPolicy.map(({ id, rule, reason }) =>
+          ({ id, reason: `Skipped by policy rule ${rule}: ${reason}` })),
+        ...getSkippedRecommendations(allowed, resources, recommendationsToClaim),
+      ],
+      failures,
+    });
   } catch (e) {
     console.error(e);
-    res.sendStatus(500).end(e.toString());
+    res.status(500).send(e.toString());
+  } finally {
+    await sourceControl.removeRepository(previewName);
   }
 };
 
+/**
+ * Lists the recommendation types that are installed, built in or loaded
+ * from plugins, so callers know which /recommendation/:type routes exist.
+ *
+ * @param req is the request object
+ * @param res is the response object
+ */
+const listRecommendationTypes = (req, res) => {
+  res.json(handlers.listHandlers());
+};
+
+/**
+ * Looks up the recommendations that were applied by the pull requests a
+ * commit belongs to, which were opened by the service and merged.
+ *
+ * @param {string} repoName is the name of the repo
+ * @param {string} commitID is the SHA of the commit
+ * @returns {Promise<Object>} { pullRequests, recommendationIDs } with the
+ *          numbers of the pull requests that have recommendations in Firestore
+ */
+const getAppliedRecommendations = async (repoName, commitID) => {
+  const repository = scm.getRepository(repoName)
+
+  // Get merged pull requests
+  console.log('/ci starting step Get Pull Requests')
+  const pullRequests =
+    await scm.getMergedPullRequests(repository, commitID)
+  console.log('/ci end step Get Pull Requests',
+    JSON.stringify(pullRequests))
+
+  // Get Recommendation IDs from DB for each pull request
+  console.log('/ci starting step Get Recommendation IDs from DB')
+  const dbLookUpPromises = pullRequests.map(pr => db.getPullRequest(repoName, pr))
+  const dbLookUpPromisesResult =
+    await Promise.all(dbLookUpPromises)
+
+  // Flatten recommendations
+  const recommendationIDs = dbLookUpPromisesResult.reduce((acc, result) => {
+    return [...acc, ...(result ? result.recommendationIDs : [])]
+  }, [])
+
+  console.log('/ci recommendationIDs are', recommendationIDs)
+
+  return {
+    pullRequests: pullRequests.filter((pr, i) => dbLookUpPromisesResult[i]),
+    recommendationIDs
+  }
+}
+
+/**
+ * Sets the state of recommendations, fetching their current etags first.
+ *
+ * @param {Array<string>} recommendationIDs are the recommendations
+ * @param {string} newStatus is the state change, e.g. 'markSucceeded'
+ * @param {Object} [stateMetadata] is stored with the state
+ */
+const markRecommendations = async (recommendationIDs, newStatus, stateMetadata) => {
+  // Get etags for recommendations
+  console.log('starting step Get etags for recommendation')
+  const recommendationsResult =
+    await recommender.getRecommendations(recommendationIDs)
+
+  console.log('recommendations are', recommendationsResult)
+
+  const recommendations = recommendationsResult.map(reco => ({
+    id: reco.name,
+    etag: reco.etag
+  }))
+
+  console.log(`starting step Mark Recommendations with ${newStatus}`)
+  await recommender.setRecommendationStatus(
+    recommendations, newStatus, stateMetadata)
+}
+
 /**
  * This handles the route called by the Pub/Sub subscription after the Cloud
  * Build (CI / CD) job completes. If the job has run successfully, the
  * service updates the recommendations state by invoking the Recommender API.
+ * If the job failed, timed out or was cancelled, the recommendations are
+ * marked failed with a link to the build log so that they can be retried,
+ * and, when REVERT_FAILED_BUILDS is set, a pull request that reverts the
+ * merged change is opened so the repo matches the infrastructure again.
  *
  * @param req is the request object
  * @param res is the response object
@@ -102,47 +622,75 @@ const ci = async (req, res) => {
   const payload = JSON.parse(Buffer.from(data, 'base64').toString())
 
   try {
-    if (payload.status == 'SUCCESS' && payload.substitutions) {
-      const commitID = payload.substitutions.COMMIT_SHA
-      const repoName = payload.substitutions.REPO_NAME
-      const fullRepoName = `${BASE_REPO}/${repoName}`
-
-      // Get parent commits
-      console.log('/ci starting step Get Parent Commits')
-      const parentCommits =
-        await github.getParentCommits(fullRepoName, commitID)
-      console.log('/ci end step Get Parent Commits',
-        JSON.stringify(parentCommits))
-
-      // Get Recommendation IDs from DB for each parent commit
-      console.log('/ci starting step Get Recommendation IDs from DB')
-      const dbLookUpPromises = parentCommits.map(c => db.getCommit(repoName, c))
-      const dbLookUpPromisesResult =
-        await Promise.all(dbLookUpPromises)
-
-      // Flatten recommendations
-      const recommendationIDs = dbLookUpPromisesResult.reduce((acc, result) => {
-        return [...acc, ...result]
-      }, [])
-
-      console.log('/ci recommendationIDs are', recommendationIDs)
-
-      // Get etags for recommendations
-      console.log('/ci starting step Get etags for recommendation')
-      const recommendationsResult =
-        await recommender.getRecommendations(recommendationIDs)
-
-      console.log('/ci recommendations are', recommendationsResult)
-
-      const recommendations = recommendationsResult.map(reco => ({
-        id: reco.name,
-        etag: reco.etag
-      }))
+    if (!payload.substitutions) {
+      return res.sendStatus(200)
+    }
+
+    const commitID = payload.substitutions.COMMIT_SHA
+    const repoName = payload.substitutions.REPO_NAME
+
+    if (payload.status == 'SUCCESS') {
+      const { pullRequests, recommendationIDs } =
+        await getAppliedRecommendations(repoName, commitID)
 
       // Mark Recommendations as succeeded
-      console.log('/ci starting step Mark Recommendations as succeeded')
-      await recommender.setRecommendationStatus(
-        recommendations, 'markSucceeded')
+      await markRecommendations(recommendationIDs, 'markSucceeded')
+
+      await Promise.all(pullRequests.map(pr =>
+        db.updatePullRequest(repoName, pr, { status: 'Build Succeeded' })))
+
+      res.sendStatus(201)
+    } else if (FAILED_BUILD_STATUSES.includes(payload.status)) {
+      const { pullRequests, recommendationIDs } =
+        await getAppliedRecommendations(repoName, commitID)
+
+      if (recommendationIDs.length === 0) {
+        return res.sendStatus(200)
+      }
+
+      // Fields the build did not report are left out of the state metadata
+      const stateMetadata = Object.fromEntries(Object.entries({
+        buildId: payload.id,
+        buildStatus: payload.status,
+        logUrl: payload.logUrl
+      }).filter(([, value]) => value !== undefined))
+
+      // Mark Recommendations as failed
+      await markRecommendations(recommendationIDs, 'markFailed', stateMetadata)
+
+      // A failed revert is recorded with the pull requests, which are
+      // updated either way. The revert is made in a clone of its own so it
+      // does not touch the clone of a request applying recommendations.
+      let revertBranch
+      let revertError
+      if (REVERT_FAILED_BUILDS) {
+        const revertName = `${repoName}-revert-${Date.now()}`
+        try {
+          console.log('/ci starting step Open Revert Pull Request')
+          const repository = scm.getRepository(repoName)
+          const baseBranch =
+            await sourceControl.cloneRepository(repository.cloneURL, revertName)
+          revertBranch = await sourceControl.revertCommit(revertName, commitID)
+          const title = `Revert recommendations of commit ${commitID.substr(0, 7)}`
+          await scm.createPullRequest(repository, revertBranch, title,
+            `${title}\n\nThe build that rolled them out ended with status ` +
+            `${payload.status}. See the [build log](${payload.logUrl}).`,
+            { base: baseBranch, labels: PULL_REQUEST_LABELS })
+        } catch (e) {
+          console.log('/ci could not open the revert pull request:', e.toString())
+          revertError = e.toString()
+        } finally {
+          await sourceControl.removeRepository(revertName)
+        }
+      }
+
+      await Promise.all(pullRequests.map(pr => db.updatePullRequest(repoName, pr, {
+        status: 'Build Failed',
+        buildStatus: payload.status,
+        logUrl: payload.logUrl || null,
+        revertBranch: revertBranch || null,
+        revertError: revertError || null
+      })))
 
       res.sendStatus(201)
     } else {
@@ -154,4 +702,69 @@ const ci = async (req, res) => {
   }
 }
 
-export { applyRecommendations, ci };
+/**
+ * This handles the GitHub webhook of the IaC repository. When a pull request
+ * opened by the service is closed without being merged, its recommendations
+ * are marked dismissed so they are not left claimed, and the closer, the
+ * comment they closed it with and its labels are recorded in Firestore. The
+ * recommendations are dismissed with the etags stored when the pull request
+ * was opened or updated, so one that changed since is left as it is. When
+ * SUPPRESS_DISMISSED_TARGETS is set, the
+ * resources they target are also suppressed so they are not proposed again.
+ *
+ * @param req is the request object
+ * @param res is the response object
+ */
+const githubWebhook = async (req, res) => {
+  if (!github.verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+    return res.sendStatus(401)
+  }
+
+  const { action, pull_request: pullRequest, repository, sender } = req.body
+  if (req.get('X-GitHub-Event') != 'pull_request' || action != 'closed' ||
+      pullRequest.merged) {
+    return res.sendStatus(200)
+  }
+
+  try {
+    const repoName = repository.name
+    const record = await db.getPullRequest(repoName, pullRequest.number)
+    if (!record) {
+      return res.sendStatus(200)
+    }
+
+    console.log('/github/webhook dismissing recommendations of pull request',
+      pullRequest.number)
+    await recommender.setRecommendationStatus(record.recommendationIDs.map((id, i) =>
+      ({ id, etag: record.recommendationEtags[i] })), 'markDismissed')
+
+    let reason = null
+    try {
+      reason = await github.getClosingComment({ owner: repository.owner.login, name: repoName },
+        pullRequest.number, sender.login, pullRequest.closed_at) || null
+    } catch (e) {
+      console.log('/github/webhook could not read the closing comment:', e.toString())
+    }
+
+    const suppressed = SUPPRESS_DISMISSED_TARGETS ? record.targets || [] : []
+    if (suppressed.length > 0) {
+      await db.suppressTargets(repoName, suppressed)
+    }
+
+    await db.updatePullRequest(repoName, pullRequest.number, {
+      status: 'Pull Request Closed',
+      closedBy: sender.login,
+      closedAt: pullRequest.closed_at,
+      reason,
+      labels: (pullRequest.labels || []).map(({ name }) => name),
+      suppressed
+    })
+
+    res.sendStatus(201)
+  } catch (e) {
+    console.log('ERROR: ', e.toString())
+    res.status(500).send(e.toString())
+  }
+}
+
+export { applyRecommendations, previewRecommendations, listRecommendationTypes, ci, githubWebhook };
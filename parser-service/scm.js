@@ -0,0 +1,109 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Scm.js (module) selects the source control provider that hosts each IaC
+ * repository and forwards calls to it. The providers are github.js,
+ * gitlab.js and bitbucket.js. A GitLab merge request is called a pull
+ * request here too, numbered by its iid.
+ *
+ * Only GitHub notifies the service of pull requests closed without merging,
+ * through the /github/webhook route, so that their recommendations are
+ * dismissed. GitLab and Bitbucket have no webhook route: their closed pull
+ * requests leave their recommendations claimed.
+ *
+ * A provider is a module with these functions, which all take the
+ * repository, see getRepository, first and may be async:
+ *   createPullRequest     (repository, branch, title, body,
+ *                         { base, labels, assignees, reviewers }) => the pull
+ *                         request, with its number. Options the provider
+ *                         does not support are left out with a warning in
+ *                         the log.
+ *   updatePullRequest     (repository, number, title, body)
+ *   requestReviewers      (repository, number, owners) with owners as written
+ *                         in CODEOWNERS. Logs failures instead of throwing.
+ *   listOpenPullRequests  (repository, branchPrefix) => the open pull
+ *                         requests of the branches, [{ number, branch, base }].
+ *   getMergedPullRequests (repository, commitId) => the numbers of the merged
+ *                         pull requests the commit belongs to.
+ *   getParentCommits      (repository, commitId) => the SHAs of its parents.
+ *   getDefaultBranch      (repository) => the default branch.
+ *
+ * The provider of a repo is set in SCM_REPOSITORIES as comma separated
+ * <repo>=<provider> pairs, e.g. 'network=gitlab,billing=bitbucket'. Other
+ * repos use SCM_PROVIDER, github by default. The account repos are under is
+ * set per provider in GITHUB_ACCOUNT, GITLAB_ACCOUNT and BITBUCKET_ACCOUNT as
+ * '<host>:<account>', e.g. 'gitlab.com:my-group/infra'.
+ */
+
+import * as github from './github.js';
+import * as gitlab from './gitlab.js';
+import * as bitbucket from './bitbucket.js';
+
+const PROVIDERS = { github, gitlab, bitbucket };
+const ACCOUNTS = {
+  github: process.env.GITHUB_ACCOUNT,
+  gitlab: process.env.GITLAB_ACCOUNT,
+  bitbucket: process.env.BITBUCKET_ACCOUNT,
+};
+const DEFAULT_PROVIDER = process.env.SCM_PROVIDER || 'github';
+const REPOSITORY_PROVIDERS = new Map((process.env.SCM_REPOSITORIES || '')
+  .split(',')
+  .filter((pair) => pair.includes('='))
+  .map((pair) => pair.split('=').map((part) => part.trim())));
+
+/**
+ * Describes an IaC repo: where it is hosted and how to clone it.
+ *
+ * @param {string} repoName The name of the repo, e.g. 'infra'.
+ * @returns {Object} { provider, host, owner, name, cloneURL } with the name
+ *          of the provider and the account, group or workspace of the repo.
+ * @throws {Error} If the provider of the repo is unknown or has no account.
+ */
+const getRepository = (repoName) => {
+  const provider = REPOSITORY_PROVIDERS.get(repoName) || DEFAULT_PROVIDER;
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown source control provider ${provider} for ${repoName}`);
+  }
+  if (!ACCOUNTS[provider]) {
+    throw new Error(`No account is set for ${provider}, the provider of ${repoName}`);
+  }
+
+  const [host, owner] = ACCOUNTS[provider].split(':');
+  return { provider, host, owner, name: repoName, cloneURL: `git@${host}:${owner}/${repoName}.git` };
+};
+
+const forward = (method) => (repository, ...args) =>
+  PROVIDERS[repository.provider][method](repository, ...args);
+
+const createPullRequest = forward('createPullRequest');
+const updatePullRequest = forward('updatePullRequest');
+const requestReviewers = forward('requestReviewers');
+const listOpenPullRequests = forward('listOpenPullRequests');
+const getMergedPullRequests = forward('getMergedPullRequests');
+const getParentCommits = forward('getParentCommits');
+const getDefaultBranch = forward('getDefaultBranch');
+
+export {
+  getRepository,
+  createPullRequest,
+  updatePullRequest,
+  requestReviewers,
+  listOpenPullRequests,
+  getMergedPullRequests,
+  getParentCommits,
+  getDefaultBranch,
+};
@@ -22,39 +22,174 @@ import simpleGit from 'simple-git';
 import fs from 'fs-extra';
 
 const GIT_WORK_DIR_PATH = '/repo';
+const CHANGES_BRANCH_PREFIX = 'recommender-changes';
 
-const cloneRepository = async (repoURI, repoName) => {
+/**
+ * Clones a repository into the work directory.
+ *
+ * @param {string} repoURI - The URI of the repository
+ * @param {string} repoName - The name to clone the repository as
+ * @param {string} [branchName] - The branch to check out, by default the
+ *        default branch of the repository
+ * @returns {Promise<string>} The checked out branch, which changes are made on
+ */
+const cloneRepository = async (repoURI, repoName, branchName) => {
   const baseDIR = `${GIT_WORK_DIR_PATH}/${repoName}`;
   await fs.mkdirp(baseDIR);
   await fs.emptyDir(baseDIR);
 
   const git = simpleGit(baseDIR);
-  await git.clone(repoURI, baseDIR);
+  await git.clone(repoURI, baseDIR, branchName ? ['--branch', branchName] : []);
   await git.addConfig('user.name', 'RecommenderBot');
   await git.addConfig('user.email', 'recommenderbot@example.com');
+
+  return (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+};
+
+/**
+ * Checks out the branch of an open pull request and rebases it onto the
+ * branch that was cloned, so that new changes can be added to it. If the
+ * rebase conflicts, it is aborted and the cloned branch is checked out again.
+ *
+ * @param {string} repoName - The name of the cloned repository
+ * @param {string} branchName - The branch of the pull request
+ * @returns {Promise<boolean>} Whether the branch is checked out and rebased
+ */
+const checkoutBranch = async (repoName, branchName) => {
+  const git = simpleGit(`${GIT_WORK_DIR_PATH}/${repoName}`);
+  const baseBranch = (await git.revparse(['--abbrev-ref', 'HEAD'])).trim();
+
+  await git.fetch('origin', branchName);
+  await git.checkout(['-b', branchName, `origin/${branchName}`]);
+  try {
+    await git.rebase([baseBranch]);
+    return true;
+  } catch (error) {
+    console.error(`Could not rebase ${branchName} onto ${baseBranch}:`, error.message);
+    await git.rebase(['--abort']);
+    await git.checkout(baseBranch);
+    await git.deleteLocalBranch(branchName, true);
+    return false;
+  }
+};
+
+/**
+ * Discards the changes of a cloned repository and checks out the branch that
+ * was cloned again, so that other changes can be made from a clean tree.
+ *
+ * @param {string} repoName - The name of the cloned repository
+ * @param {string} baseBranch - The branch that was cloned
+ */
+const resetRepository = async (repoName, baseBranch) => {
+  const git = simpleGit(`${GIT_WORK_DIR_PATH}/${repoName}`);
+
+  await git.checkout(['-f', baseBranch]);
+  await git.raw(['clean', '-fd']);
 };
 
-const commitChanges = async (commitMessage, repoName) => {
+/**
+ * Commits the changes of a cloned repository and pushes them, on a new branch
+ * or on the checked out branch of an open pull request, which is force-pushed
+ * as it was rebased.
+ *
+ * @param {string} commitMessage - The commit message
+ * @param {string} repoName - The name of the cloned repository
+ * @param {string} [branchName] - The branch to commit to, created from the
+ *        checked out branch unless it is checked out already
+ * @returns {Promise<Object>} The commit, with its branch and full sha
+ */
+const commitChanges = async (commitMessage, repoName, branchName = createBranchName()) => {
   const baseDIR = `${GIT_WORK_DIR_PATH}/${repoName}`;
-  const branchName = createBranchName();
 
   const git = simpleGit(baseDIR);
-  await git.checkoutLocalBranch(branchName);
+  if ((await git.revparse(['--abbrev-ref', 'HEAD'])).trim() !== branchName) {
+    await git.checkoutLocalBranch(branchName);
+  }
   await git.add(`${baseDIR}/.`);
   const commit = await git.commit(commitMessage);
+  const sha = await git.revparse(['HEAD']);
+
+  await git.push('origin', branchName, ['--force-with-lease']);
+
+  return { ...commit, branch: branchName, sha };
+};
+
+/**
+ * Reverts a commit on a new branch and pushes the branch. A merge commit is
+ * reverted against its first parent, i.e. the branch it was merged into.
+ * A revert that conflicts is aborted, leaving the branch as it was cloned.
+ *
+ * @param {string} repoName - The name of the cloned repository
+ * @param {string} commitID - The SHA of the commit to revert
+ * @returns {Promise<string>} The name of the pushed branch
+ */
+const revertCommit = async (repoName, commitID) => {
+  const git = simpleGit(`${GIT_WORK_DIR_PATH}/${repoName}`);
+  const branchName = createBranchName('recommender-revert');
+
+  const parents = (await git.raw(['rev-list', '--parents', '-n', '1', commitID]))
+    .trim().split(' ').slice(1);
+  await git.checkoutLocalBranch(branchName);
+  try {
+    await git.raw(['revert', '--no-edit', ...(parents.length > 1 ? ['-m', '1'] : []), commitID]);
+  } catch (e) {
+    await git.raw(['revert', '--abort']).catch(() => {});
+    throw e;
+  }
 
   await git.push('origin', branchName);
 
-  return commit;
+  return branchName;
 };
 
-const createBranchName = () => {
+/**
+ * Lists the uncommitted changes of a cloned repository as a unified diff per
+ * file.
+ *
+ * @param {string} repoName - The name of the cloned repository
+ * @returns {Promise<Array<Object>>} The changed files, [{ file, diff }]
+ */
+const getDiff = async (repoName) => {
+  const git = simpleGit(`${GIT_WORK_DIR_PATH}/${repoName}`);
+  await git.add(['--intent-to-add', '.']);
+  const files = (await git.diff(['--name-only'])).split('\n').filter(Boolean);
+
+  return Promise.all(files.map(async (file) => ({
+    file,
+    diff: await git.diff(['--no-color', '--', file]),
+  })));
+};
+
+/**
+ * Deletes a cloned repository from the work directory.
+ *
+ * @param {string} repoName - The name of the cloned repository
+ */
+const removeRepository = async (repoName) => {
+  await fs.remove(`${GIT_WORK_DIR_PATH}/${repoName}`);
+};
+
+/**
+ * Creates a branch name from a prefix and the current time.
+ *
+ * @param {string} [prefix] - The prefix of the branch name
+ * @param {string|number} [suffix] - Tells apart branches created at once
+ * @returns {string} The branch name
+ */
+const createBranchName = (prefix = CHANGES_BRANCH_PREFIX, suffix) => {
   const d = new Date();
   const dateString = d.toISOString().replace(/[: \.]/g, '-');
-  return `recommender-changes-${dateString}`;
+  return suffix === undefined ? `${prefix}-${dateString}` : `${prefix}-${dateString}-${suffix}`;
 };
 
 export {
+  CHANGES_BRANCH_PREFIX,
   cloneRepository,
-  commitChanges
+  checkoutBranch,
+  resetRepository,
+  commitChanges,
+  revertCommit,
+  getDiff,
+  removeRepository,
+  createBranchName
 };
@@ -24,9 +24,32 @@ import { Storage } from '@google-cloud/storage';
 import { Resource } from '@google-cloud/resource';
 import fs from 'fs-extra';
 import path from 'path';
+import * as hcl from './hcl.js';
 
 const GIT_WORK_DIR_PATH = '/repo';
+const IGNORED_DIRECTORIES = ['.git', '.terraform'];
+const MODULE_META_ARGUMENTS = ['source', 'version', 'count', 'for_each', 'providers', 'depends_on'];
+// Prefixes of the IAM resource types, with the kind of resource whose policy
+// they manage and the attribute naming that resource
+const IAM_TARGETS = {
+  google_project_iam: { kind: 'project', attribute: 'project' },
+  google_folder_iam: { kind: 'folder', attribute: 'folder' },
+  google_organization_iam: { kind: 'organization', attribute: 'org_id' },
+  google_service_account_iam: { kind: 'serviceAccount', attribute: 'service_account_id' },
+  google_storage_bucket_iam: { kind: 'bucket', attribute: 'bucket' },
+};
+const INSTANCE_GROUP_MANAGER_TYPES = [
+  'google_compute_instance_group_manager',
+  'google_compute_region_instance_group_manager',
+];
+const INSTANCE_TEMPLATE_TYPES = [
+  'google_compute_instance_template',
+  'google_compute_region_instance_template',
+];
 const TERRAFORM_STATE_BUCKET = process.env.TERRAFORM_STATE_BUCKET;
+// The gcs backend prefix and workspace of the state the service reads
+const TERRAFORM_STATE_PREFIX = 'terraform/state';
+const TERRAFORM_WORKSPACE = 'default';
 
 const storage = new Storage();
 const stateBucket = storage.bucket(TERRAFORM_STATE_BUCKET);
@@ -38,34 +61,213 @@ const resource = new Resource();
  */
 const getTFState = async () => {
   const result = await stateBucket
-    .file('terraform/state/default.tfstate')
+    .file(`${TERRAFORM_STATE_PREFIX}/${TERRAFORM_WORKSPACE}.tfstate`)
     .download();
 
   const state = JSON.parse(result[0].toString());
   return state;
 };
 
+/**
+ * Builds the address of a resource in the Terraform state, e.g.
+ * module.web.google_compute_instance.app. Module instance keys are left out,
+ * since every instance of a module shares the same source.
+ * @param {Object} resource A resource entry from the Terraform state.
+ * @return {string} The resource address.
+ */
+const getStateResourceAddress = ({ module, mode, type, name }) => {
+  const modulePrefix = module ? `${module.replace(/\[[^\]]*\]/g, '')}.` : '';
+  const dataPrefix = mode === 'data' ? 'data.' : '';
+  return `${modulePrefix}${dataPrefix}${type}.${name}`;
+};
+
+/**
+ * Parses the module path of a resource in the Terraform state, e.g.
+ * module.web["blue"].module.db[0], into the instance key of each module
+ * call. Calls without count or for_each have an undefined key.
+ * @param {string} [module] The module field of a state resource.
+ * @return {Array} The key of each module call, outermost first.
+ */
+const getStateModuleKeys = module => {
+  const keys = [];
+  const expr = /module\.[\w-]+(?:\[(?:("(?:[^"\\]|\\.)*")|(\d+))\])?/g;
+  let match;
+  while ((match = expr.exec(module || '')) !== null) {
+    const [, stringKey, numberKey] = match;
+    if (stringKey !== undefined) keys.push(JSON.parse(stringKey));
+    else if (numberKey !== undefined) keys.push(Number(numberKey));
+    else keys.push(undefined);
+  }
+  return keys;
+};
+
+/**
+ * Describes one instance of a resource in the Terraform state: its full
+ * address, e.g. module.web.google_compute_instance.app["blue"], the count or
+ * for_each key of the instance and the keys of the modules around it.
+ * @param {Object} resource A resource entry from the Terraform state.
+ * @param {Object} instance One of the resource's instances.
+ * @return {Object} { instanceAddress, indexKey, moduleKeys }
+ */
+const getStateInstanceDetails = (resource, instance) => {
+  const { module, mode, type, name } = resource;
+  const indexKey = instance.index_key;
+  const modulePrefix = module ? `${module}.` : '';
+  const dataPrefix = mode === 'data' ? 'data.' : '';
+  const keySuffix = indexKey === undefined ? '' : `[${JSON.stringify(indexKey)}]`;
+
+  return {
+    instanceAddress: `${modulePrefix}${dataPrefix}${type}.${name}${keySuffix}`,
+    indexKey,
+    moduleKeys: getStateModuleKeys(module),
+  };
+};
+
+/**
+ * Lists every instance of the resources of a given type in the Terraform state.
+ * @param {Object} state The Terraform state.
+ * @param {string} type The resource type, e.g. 'google_compute_instance'.
+ * @return {Array} The instances: [{ tfResourceAddress, instanceAddress, indexKey, moduleKeys }]
+ */
+const getStateInstancesOfType = (state, type) => state.resources
+  .filter(resource => resource.type === type && resource.mode !== 'data')
+  .flatMap(resource => resource.instances.map(instance => ({
+    tfResourceAddress: getStateResourceAddress(resource),
+    ...getStateInstanceDetails(resource, instance),
+  })));
+
 /**
  * Finds and returns virtual machine resources by their IDs from the Terraform state.
  * @param {Object} state The Terraform state.
  * @param {Array} vmList The list of VM identifiers.
  * @return {Array} List of VM resources found.
  */
-const getVMResourcesByIdFromState = (state, vmList) => {
+const getVMResourcesByIdFromState = (state, vmList) =>
+  getResourcesByIdFromState(state, vmList, 'google_compute_instance');
+
+/**
+ * Finds and returns Compute Engine resources of a type by their IDs from the
+ * Terraform state, such as disks by their projects/p/zones/z/disks/d ID.
+ * @param {Object} state The Terraform state.
+ * @param {Array} list The recommendations, with the full resource name in instanceID.
+ * @param {string} type The Terraform resource type, e.g. google_compute_disk.
+ * @return {Array} List of resources found.
+ */
+const getResourcesByIdFromState = (state, list, type) => {
   const instancesFound = [];
   const instanceIdPrefixToRemove = '//compute.googleapis.com/';
 
   for (const resource of state.resources) {
-    if (resource.type === 'google_compute_instance') {
+    if (resource.type === type && resource.mode !== 'data') {
       resource.instances.forEach(instance => {
-        vmList.forEach(vm => {
+        list.forEach(item => {
           if (
-            vm.instanceID.substring(instanceIdPrefixToRemove.length) ===
+            item.instanceID.substring(instanceIdPrefixToRemove.length) ===
             instance.attributes.id
           ) {
             instancesFound.push({
-              ...vm,
+              ...item,
               tfResourceName: resource.name,
+              tfResourceAddress: getStateResourceAddress(resource),
+              ...getStateInstanceDetails(resource, instance),
+            });
+          }
+        });
+      });
+    }
+  }
+
+  return instancesFound;
+};
+
+/**
+ * Lists the zones that the resources of a given type are in, taken from the
+ * zone attribute of their instances in the Terraform state.
+ * @param {Object} state The Terraform state.
+ * @param {string} type The Terraform resource type, e.g. google_compute_instance.
+ * @return {Array<string>} The zones, e.g. ['us-central1-a', 'us-central1-b'].
+ */
+const getZonesFromState = (state, type) => [...new Set(state.resources
+  .filter(resource => resource.type === type && resource.mode !== 'data')
+  .flatMap(resource => resource.instances.map(instance => instance.attributes.zone))
+  .filter(Boolean))]
+  .sort();
+
+/**
+ * Reduces a reference to a Compute Engine resource, which may be a self
+ * link or a relative resource name, to its relative resource name.
+ * @param {string} reference E.g. https://www.googleapis.com/compute/v1/projects/p/global/instanceTemplates/t
+ * @return {string} E.g. projects/p/global/instanceTemplates/t
+ */
+const getComputeResourceName = reference =>
+  String(reference).replace(/^(https:\/\/www\.googleapis\.com\/compute\/[^/]+\/|\/\/compute\.googleapis\.com\/)/, '');
+
+/**
+ * Finds the instance templates of managed instance groups in the Terraform
+ * state, following each group's versions to the templates they use.
+ * @param {Object} state The Terraform state.
+ * @param {Array} migList The recommendations, with the full name of the
+ *        instance group manager in instanceGroupManagerID.
+ * @return {Array} List of templates found, with the recommendation and the
+ *         address of the group in instanceGroupManager.
+ */
+const getInstanceTemplatesFromState = (state, migList) => {
+  const templates = INSTANCE_TEMPLATE_TYPES.flatMap(type => state.resources
+    .filter(resource => resource.type === type && resource.mode !== 'data')
+    .flatMap(resource => resource.instances.map(instance => ({ resource, instance }))));
+  const templatesFound = [];
+
+  state.resources
+    .filter(resource => INSTANCE_GROUP_MANAGER_TYPES.includes(resource.type) && resource.mode !== 'data')
+    .forEach(resource => resource.instances.forEach(instance => {
+      const { attributes } = instance;
+      const migs = migList.filter(mig =>
+        getComputeResourceName(mig.instanceGroupManagerID) === getComputeResourceName(attributes.id));
+      const templateNames = [
+        attributes.instance_template,
+        ...(attributes.version || []).map(version => version.instance_template),
+      ].filter(Boolean).map(getComputeResourceName);
+
+      templates
+        .filter(({ instance: template }) => templateNames.some(name =>
+          [template.attributes.id, template.attributes.self_link]
+            .filter(Boolean)
+            .map(getComputeResourceName)
+            .includes(name)))
+        .forEach(template => migs.forEach(mig => templatesFound.push({
+          ...mig,
+          instanceGroupManager: getStateInstanceDetails(resource, instance).instanceAddress,
+          tfResourceName: template.resource.name,
+          tfResourceAddress: getStateResourceAddress(template.resource),
+          ...getStateInstanceDetails(template.resource, template.instance),
+        })));
+    }));
+
+  return templatesFound;
+};
+
+/**
+ * Finds Cloud SQL instances by their resource names from the Terraform state.
+ * @param {Object} state The Terraform state.
+ * @param {Array} databaseList The recommendations, with the full name of the
+ *        instance, //sqladmin.googleapis.com/projects/p/instances/i, in instanceID.
+ * @return {Array} List of database instances found.
+ */
+const getDatabaseInstancesFromState = (state, databaseList) => {
+  const instancesFound = [];
+
+  for (const resource of state.resources) {
+    if (resource.type === 'google_sql_database_instance' && resource.mode !== 'data') {
+      resource.instances.forEach(instance => {
+        const { project, name } = instance.attributes;
+        databaseList.forEach(database => {
+          if (database.instanceID.replace('//sqladmin.googleapis.com/', '') ===
+              `projects/${project}/instances/${name}`) {
+            instancesFound.push({
+              ...database,
+              tfResourceName: resource.name,
+              tfResourceAddress: getStateResourceAddress(resource),
+              ...getStateInstanceDetails(resource, instance),
             });
           }
         });
@@ -88,7 +290,61 @@ const getProjectNumberFromProjectID = async projectID => {
 };
 
 /**
- * Retrieves IAM bindings based on recommendations.
+ * Splits an IAM resource type such as google_folder_iam_member into the
+ * resource whose policy it manages and its variant: binding, member or policy.
+ * @param {string} type The resource type.
+ * @return {Object|undefined} { kind, attribute, variant }, or undefined if
+ *         the type is not an IAM resource type that can be modified.
+ */
+const getIAMResourceType = type => {
+  const match = /^(.+)_(binding|member|policy)$/.exec(type);
+  const target = match && IAM_TARGETS[match[1]];
+  return target && { ...target, variant: match[2] };
+};
+
+/**
+ * Reduces the ways a resource can be named in an IAM resource to the ID used
+ * by the Recommender: 'folders/123' becomes '123', 'b/bucket' becomes
+ * 'bucket' and 'projects/p/serviceAccounts/sa@p.iam.gserviceaccount.com'
+ * becomes the email.
+ * @param {string} value The value of the attribute naming the resource.
+ * @return {string|undefined} The ID.
+ */
+const normalizeIAMResourceID = value =>
+  value === undefined ? undefined : String(value).split('/').pop();
+
+/**
+ * Lists the role bindings that an IAM resource in the Terraform state grants.
+ * A binding resource grants one role to several members, a member resource
+ * one role to one member and a policy resource all the bindings of its
+ * policy_data.
+ * @param {string} type The resource type.
+ * @param {Object} attributes The attributes of the resource instance.
+ * @return {Array} The bindings: [{ role, members }]
+ */
+const getStateIAMBindings = (type, attributes) => {
+  const { variant } = getIAMResourceType(type) || {};
+  switch (variant) {
+    case 'binding':
+      return [{ role: attributes.role, members: attributes.members || [] }];
+    case 'member':
+      return [{ role: attributes.role, members: [attributes.member] }];
+    case 'policy':
+      try {
+        return JSON.parse(attributes.policy_data).bindings || [];
+      } catch (err) {
+        console.error(`Could not read policy_data: ${err.message}`);
+        return [];
+      }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Retrieves IAM bindings based on recommendations. Project, folder,
+ * organization, service account and bucket IAM resources are matched by
+ * the kind and ID of the resource the recommendation is for.
  * @param {Object} state The Terraform state.
  * @param {Array} iamRecommendations The list of IAM recommendations.
  * @param {boolean} isStub Flag to indicate if it's a stub.
@@ -102,7 +358,7 @@ const getIAMBindingsFromState = async (state, iamRecommendations, isStub) => {
     for (const { attributes } of instances) {
       let projectNumber = projectMapping.get(attributes.project);
 
-      if (!projectNumber) {
+      if (attributes.project && !projectNumber) {
         projectNumber = isStub
           ? attributes.project
           : await getProjectNumberFromProjectID(attributes.project);
@@ -112,21 +368,34 @@ const getIAMBindingsFromState = async (state, iamRecommendations, isStub) => {
     }
   }
 
-  state.resources.forEach(({ type, instances, name }) => {
-    if (type === 'google_project_iam_binding') {
-      instances.forEach(({ attributes }) => {
-        iamRecommendations.forEach(recommendation => {
-          const projectNumber = projectMapping.get(attributes.project);
+  state.resources.forEach(stateResource => {
+    const { type, instances, name } = stateResource;
+    const iamResourceType = getIAMResourceType(type);
+    if (iamResourceType) {
+      const { kind, attribute } = iamResourceType;
+      instances.forEach(instance => {
+        const { attributes } = instance;
+        // A project is matched by its ID or its number, whichever the
+        // recommendation has
+        const resourceIDs = kind === 'project'
+          ? [attributes.project, projectMapping.get(attributes.project)]
+          : [normalizeIAMResourceID(attributes[attribute])];
 
+        iamRecommendations.forEach(recommendation => {
           if (
-            projectNumber === recommendation.project &&
-            attributes.role === recommendation.role &&
-            attributes.members.includes(recommendation.member)
+            (recommendation.resourceKind || 'project') === kind &&
+            [recommendation.resourceID, recommendation.project].some(id =>
+              id !== undefined && resourceIDs.includes(id)) &&
+            getStateIAMBindings(type, attributes).some(({ role, members }) =>
+              role === recommendation.role && members.includes(recommendation.member))
           ) {
             removeResourcesFound.push({
               ...recommendation,
+              resourceType: type,
               resourceName: name,
-              project: attributes.project,
+              resourceAddress: getStateResourceAddress(stateResource),
+              ...getStateInstanceDetails(stateResource, instance),
+              iamResource: attributes[attribute],
             });
           }
         });
@@ -138,58 +407,364 @@ const getIAMBindingsFromState = async (state, iamRecommendations, isStub) => {
 };
 
 /**
- * Finds and modifies instance sizes based on recommendations.
+ * Changes the machine_type of instances or instance templates, or another
+ * attribute holding the size of a resource. The new size is written where
+ * the attribute gets its value, which may be a variable, tfvars entry,
+ * local or module argument rather than the resource block. When that value
+ * is shared with resources that are not being resized, the claimed
+ * recommendation carries a warning. A size that is the key of a for_each
+ * entry is left unchanged, since changing it would replace the instance.
+ * @param {string} repoPath The repository path.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {Array} resources The resources to resize.
+ * @param {Array} stateInstances All resources of the same type in the
+ *        Terraform state, used to find out which of them share a value.
+ * @param {string} [attribute] The attribute holding the size, see locateAttribute.
+ * @return {Array} List of recommendations claimed, each with the address of
+ *         the resized resource and the changes made:
+ *         [{ id, etag, resource, changes: [{ file, symbol, from, to }], warnings }]
+ */
+const resizeInstances = (repoPath, resourceIndex, resources, stateInstances,
+  attribute = 'machine_type') => {
+  const targetKey = ({ file, node }) => `${file.path}:${node.start}`;
+
+  // All targets are located before editing, while offsets are still valid
+  const usersByTarget = new Map();
+  stateInstances.forEach(stateInstance => {
+    const target = locateAttribute(resourceIndex, stateInstance, attribute);
+    if (target) {
+      const key = targetKey(target);
+      usersByTarget.set(key, [...(usersByTarget.get(key) || []), stateInstance.instanceAddress]);
+    }
+  });
+
+  const resizes = new Map();
+  resources.forEach(resource => {
+    const target = locateAttribute(resourceIndex, resource, attribute);
+    if (!target || target.node.value === undefined) {
+      console.log(`Could not find where ${attribute} of ${resource.instanceAddress} is defined`);
+      return;
+    }
+    // The size is the key of a for_each entry, whose node is the value of
+    // the entry, so writing the size there would change something else
+    if (target.isKey) {
+      console.log(`${attribute} of ${resource.instanceAddress} is the key of ${target.symbol}, ` +
+        'which cannot be resized without replacing the instance');
+      return;
+    }
+
+    const key = targetKey(target);
+    const resize = resizes.get(key) || { target, size: resource.size, resources: [] };
+    if (resize.size !== resource.size) {
+      console.log(`${target.symbol} cannot be resized to both ${resize.size} and ${resource.size}`);
+      return;
+    }
+    resize.resources.push(resource);
+    resizes.set(key, resize);
+  });
+
+  const recommendationsToClaim = [];
+  const editsByFile = new Map();
+  resizes.forEach(({ target, size, resources: resized }, key) => {
+    const resizedAddresses = resized.map(resource => resource.instanceAddress);
+    const others = (usersByTarget.get(key) || [])
+      .filter(address => !resizedAddresses.includes(address));
+    const warnings = others.length > 0
+      ? [`${target.symbol} is also used by ${others.join(', ')}, which ${others.length > 1 ? 'are' : 'is'} not being resized`]
+      : [];
+    const change = {
+      file: path.relative(repoPath, target.file.path),
+      symbol: target.symbol,
+      from: target.node.value,
+      to: size,
+    };
+
+    resized.forEach(resource => recommendationsToClaim.push({
+      id: resource.recommendationID,
+      etag: resource.recommendationETAG,
+      resource: resource.instanceAddress,
+      changes: [change],
+      warnings,
+    }));
+
+    editsByFile.set(target.file, [
+      ...(editsByFile.get(target.file) || []),
+      hcl.replaceExpression(target.node, hcl.toHCL(size)),
+    ]);
+  });
+
+  editsByFile.forEach((edits, file) => editFile(file, edits));
+  return recommendationsToClaim;
+};
+
+/**
+ * Finds and modifies instance sizes based on recommendations, see
+ * resizeInstances.
  * @param {string} repoPath The repository path.
  * @param {Array} resources The resources to find and modify.
  * @param {string} [destPath] Optional destination path for modified files.
- * @return {Promise<Array>} List of recommendations claimed.
+ * @param {Array} [stateInstances] All VM instances in the Terraform state,
+ *        used to find out which of them share a value.
+ * @return {Promise<Array>} List of recommendations claimed, each with the
+ *         changes made: [{ id, etag, changes: [{ file, symbol, from, to }], warnings }]
  */
-const findAndModifyInstances = async (repoPath, resources, destPath) => {
-  const recommendationsToClaim = [];
-  const writePath = destPath || repoPath;
+const findAndModifyInstances = async (repoPath, resources, destPath, stateInstances = resources) => {
+  const tfFiles = await readAllTFFiles(repoPath);
+  const tfVarsFiles = await readAllTFVarsFiles(repoPath);
+  const resourceIndex = getResourceIndex(repoPath, tfFiles, tfVarsFiles);
 
-  let originalFiles = await readAllTFFiles(repoPath);
-  const tfFiles = await replaceVariableValuesInTFFiles(repoPath, originalFiles);
+  const recommendationsToClaim = resizeInstances(repoPath, resourceIndex, resources, stateInstances);
 
-  resources.forEach(resource => {
-    originalFiles = tfFiles.map((file, index) => {
-      const expr = new RegExp(
-        `(resource\\s+"google_compute_instance"\\s+"${resource.tfResourceName}".+?machine_type\\s+=\\s+)"([\\w -]+)"`,
-        'gs'
-      );
-
-      const matches = expr.exec(file.contents);
-      if (matches) {
-        recommendationsToClaim.push({
-          id: resource.recommendationID,
-          etag: resource.recommendationETAG,
-        });
+  await writeModifiedFiles([...tfFiles, ...tfVarsFiles], repoPath, destPath);
+  return recommendationsToClaim;
+};
 
-        const lineNumToReplace = findLineNumbersFromCharacters(
-          file.contents,
-          matches.index + matches[0].indexOf('machine_type')
-        );
+/**
+ * Changes the tier of Cloud SQL instances in settings.tier, see
+ * resizeInstances. Each claimed recommendation warns that the instance
+ * restarts when its tier changes.
+ * @param {string} repoPath The repository path.
+ * @param {Array} resources The database instances to find and modify.
+ * @param {string} [destPath] Optional destination path for modified files.
+ * @param {Array} [stateInstances] All database instances in the Terraform
+ *        state, used to find out which of them share a value.
+ * @return {Promise<Array>} List of recommendations claimed, see resizeInstances.
+ */
+const findAndModifyDatabaseInstances = async (repoPath, resources, destPath,
+  stateInstances = resources) => {
+  const tfFiles = await readAllTFFiles(repoPath);
+  const tfVarsFiles = await readAllTFVarsFiles(repoPath);
+  const resourceIndex = getResourceIndex(repoPath, tfFiles, tfVarsFiles);
 
-        const contents = replaceLine(
-          originalFiles[index].contents,
-          lineNumToReplace,
-          `  machine_type = "${resource.size}"`
-        );
+  const recommendationsToClaim = resizeInstances(
+    repoPath, resourceIndex, resources, stateInstances, 'settings.tier');
+  recommendationsToClaim.forEach(claim => claim.warnings.push(
+    `Changing the tier restarts ${claim.resource}, so the database is briefly unavailable`));
 
-        return { ...file, contents };
-      }
+  await writeModifiedFiles([...tfFiles, ...tfVarsFiles], repoPath, destPath);
+  return recommendationsToClaim;
+};
 
-      return originalFiles[index];
-    });
+/**
+ * Makes Terraform create the replacement of an instance template before
+ * destroying it, so the managed instance groups using it can switch over.
+ * This only works for templates named with name_prefix, as a fixed name
+ * cannot be used by two templates at once.
+ * @param {Object} declaration The declaration of the template.
+ * @return {Object} { change, warning }, either of which may be undefined.
+ */
+const ensureCreateBeforeDestroy = declaration => {
+  const { file, address } = declaration;
+  const block = getDeclarationBlock(declaration);
+  const symbol = `${address}.lifecycle.create_before_destroy`;
+
+  if (!hcl.getAttribute(block.body, 'name_prefix')) {
+    return {
+      warning: `${address} has a fixed name, so it cannot be replaced while ` +
+        'instance groups use it. Use name_prefix and create_before_destroy instead.',
+    };
+  }
+
+  const lifecycle = hcl.getBlocks(block.body, 'lifecycle')[0];
+  const attribute = lifecycle && hcl.getAttribute(lifecycle.body, 'create_before_destroy');
+  if (attribute) {
+    const value = hcl.evaluate(attribute.expr, {});
+    if (value === true) {
+      return {};
+    }
+    editFile(file, [hcl.replaceExpression(attribute.expr, 'true')]);
+    return { change: { file, symbol, from: value, to: true } };
+  }
+
+  const indent = hcl.indentation(file.contents, block.body.items[0].start);
+  if (lifecycle && lifecycle.body.items.length > 0) {
+    const last = lifecycle.body.items[lifecycle.body.items.length - 1];
+    editFile(file, [hcl.insertAfterLine(file.contents, last,
+      `${hcl.indentation(file.contents, last.start)}create_before_destroy = true`)]);
+  } else {
+    const text = [
+      `${indent}lifecycle {`,
+      `${indent}  create_before_destroy = true`,
+      `${indent}}`,
+    ].join('\n');
+    editFile(file, [lifecycle
+      ? { start: lifecycle.start, end: lifecycle.end, text: text.trimStart() }
+      : hcl.insertAfterNode(block.body.items[block.body.items.length - 1], text)]);
+  }
+  return { change: { file, symbol, from: false, to: true } };
+};
+
+/**
+ * Resizes the instance templates of managed instance groups. Changing a
+ * template replaces it, so each resized template is also given
+ * create_before_destroy, see ensureCreateBeforeDestroy.
+ * @param {string} repoPath The repository path.
+ * @param {Array} resources The templates to resize, found with
+ *        getInstanceTemplatesFromState.
+ * @param {string} [destPath] Optional destination path for modified files.
+ * @param {Array} [stateInstances] All instance templates in the Terraform
+ *        state, used to find out which of them share a value.
+ * @return {Promise<Array>} List of recommendations claimed, see resizeInstances.
+ */
+const findAndModifyInstanceTemplates = async (repoPath, resources, destPath,
+  stateInstances = resources) => {
+  const tfFiles = await readAllTFFiles(repoPath);
+  const tfVarsFiles = await readAllTFVarsFiles(repoPath);
+  const resourceIndex = getResourceIndex(repoPath, tfFiles, tfVarsFiles);
+
+  const resized = resizeInstances(repoPath, resourceIndex, resources, stateInstances);
+
+  // A group can use several templates, e.g. during a canary, so the claims
+  // of one recommendation are merged
+  const lifecycles = new Map();
+  const claimsByID = new Map();
+  resized.forEach(claim => {
+    const { tfResourceAddress } = resources.find(r => r.instanceAddress === claim.resource);
+    if (!lifecycles.has(tfResourceAddress)) {
+      const declaration = findDeclaration(resourceIndex, tfResourceAddress);
+      const { change, warning } = ensureCreateBeforeDestroy(declaration);
+      lifecycles.set(tfResourceAddress, {
+        changes: change ? [{ ...change, file: path.relative(repoPath, change.file.path) }] : [],
+        warnings: warning ? [warning] : [],
+      });
+    }
+
+    const lifecycle = lifecycles.get(tfResourceAddress);
+    const merged = claimsByID.get(claim.id) || { ...claim, changes: [], warnings: [] };
+    merged.changes.push(...claim.changes, ...lifecycle.changes);
+    merged.warnings.push(...claim.warnings, ...lifecycle.warnings);
+    claimsByID.set(claim.id, merged);
   });
 
-  await Promise.all(
-    originalFiles.map(async ({ path, contents }) => {
-      const filePath = path.replace(repoPath, writePath);
-      await fs.writeFile(filePath, contents);
-    })
-  );
+  await writeModifiedFiles([...tfFiles, ...tfVarsFiles], repoPath, destPath);
+  return [...claimsByID.values()];
+};
+
+/**
+ * Leaves an idle resource as it is, logging why and keeping the reason on
+ * the resource so that it is reported with the skipped recommendations.
+ * @param {Object} resource The idle resource.
+ * @param {string} reason Why it is left as it is.
+ */
+const skipIdleResource = (resource, reason) => {
+  console.log(reason);
+  resource.skipReason = reason;
+};
+
+/**
+ * Stops an idle instance by setting its desired_status to TERMINATED where
+ * that value is defined. Instances without a desired_status get one added
+ * below machine_type, unless they are created with count or for_each, where
+ * it would stop every instance.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {Object} resource The idle instance.
+ * @param {Object} declaration The declaration of the instance.
+ * @param {Object} block The resource block.
+ * @return {Object|undefined} The change made: { file, symbol, from, to }
+ */
+const stopInstance = (resourceIndex, resource, declaration, block) => {
+  const { file } = declaration;
+  const symbol = `${declaration.address}.desired_status`;
+
+  if (hcl.getAttribute(block.body, 'desired_status')) {
+    const target = locateAttribute(resourceIndex, resource, 'desired_status');
+    if (!target || target.isKey || target.node.value === undefined ||
+        (hasInstanceKeys(resource) && !target.perInstance)) {
+      skipIdleResource(resource, `Could not set desired_status of ${resource.instanceAddress} alone`);
+      return undefined;
+    }
+    if (target.node.value === 'TERMINATED') {
+      skipIdleResource(resource, `${resource.instanceAddress} is already stopped in ${target.symbol}`);
+      return undefined;
+    }
+    editFile(target.file, [hcl.replaceExpression(target.node, hcl.toHCL('TERMINATED'))]);
+    return { file: target.file, symbol: target.symbol, from: target.node.value, to: 'TERMINATED' };
+  }
+
+  if (hasInstanceKeys(resource)) {
+    skipIdleResource(resource, `Could not add desired_status to ${resource.instanceAddress} alone`);
+    return undefined;
+  }
+
+  const attributes = block.body.items.filter(item => item.type === 'attribute');
+  const anchor = hcl.getAttribute(block.body, 'machine_type') || attributes[attributes.length - 1];
+  if (!anchor) {
+    skipIdleResource(resource, `Could not find where to add desired_status to ${resource.instanceAddress}`);
+    return undefined;
+  }
+
+  editFile(file, hcl.insertAttributeAfter(file.contents, block.body, anchor,
+    'desired_status', hcl.toHCL('TERMINATED')));
+  return { file, symbol, from: 'RUNNING', to: 'TERMINATED' };
+};
+
+/**
+ * Applies idle resource recommendations. When removeIdleResources is set
+ * the resource block is removed. Otherwise instances are stopped and other
+ * resources, such as disks and addresses, are commented out so they are
+ * easy to restore. Resources that are one of several created with count or
+ * for_each cannot be removed alone and are only stopped, if they are
+ * instances. The claimed recommendation warns when other blocks still refer
+ * to a removed resource. Resources left as they are get a skipReason.
+ * @param {string} repoPath The repository path.
+ * @param {Array} resources The idle resources found in the state.
+ * @param {string} [destPath] Optional destination path for modified files.
+ * @param {Object} [options] { removeIdleResources }
+ * @return {Promise<Array>} List of recommendations claimed, each with the
+ *         changes made and the evidence of the resource being idle:
+ *         [{ id, etag, changes, warnings, evidence }]
+ */
+const findAndModifyIdleResources = async (repoPath, resources, destPath,
+  { removeIdleResources = false } = {}) => {
+  const recommendationsToClaim = [];
+  const tfFiles = await readAllTFFiles(repoPath);
+  const tfVarsFiles = await readAllTFVarsFiles(repoPath);
+  const resourceIndex = getResourceIndex(repoPath, tfFiles, tfVarsFiles);
+
+  for (const resource of resources) {
+    const declaration = findDeclaration(resourceIndex, resource.tfResourceAddress);
+    const block = declaration && getDeclarationBlock(declaration);
+    if (!block) {
+      console.log(`Could not find ${resource.instanceAddress} in the repository`);
+      continue;
+    }
+
+    const { file, address } = declaration;
+    const referencedBy = findReferencingBlocks(declaration);
+    const warnings = [];
+    let change;
+    if (!hasInstanceKeys(resource) && removeIdleResources) {
+      editFile(file, [hcl.removeNode(file.contents, block)]);
+      change = { file, symbol: address, removed: true };
+    } else if (declaration.type === 'google_compute_instance') {
+      change = stopInstance(resourceIndex, resource, declaration, block);
+    } else if (!hasInstanceKeys(resource)) {
+      editFile(file, [hcl.commentOutNode(file.contents, block)]);
+      change = { file, symbol: address, commentedOut: true };
+    } else {
+      skipIdleResource(resource, `Could not remove ${resource.instanceAddress} alone`);
+    }
+
+    if (!change) {
+      continue;
+    }
+    if ((change.removed || change.commentedOut) && referencedBy.length > 0) {
+      warnings.push(`${address} is still referenced by ${referencedBy.join(', ')}`);
+    }
+    if (resource.subtype === 'SNAPSHOT_AND_DELETE_DISK') {
+      warnings.push(`The recommendation is to take a snapshot of ${resource.instanceAddress} before deleting it`);
+    }
 
+    recommendationsToClaim.push({
+      id: resource.recommendationID,
+      etag: resource.recommendationETAG,
+      changes: [{ ...change, file: path.relative(repoPath, change.file.path) }],
+      warnings,
+      evidence: (resource.evidence || []).map(line => `${resource.instanceAddress}: ${line}`),
+    });
+  }
+
+  await writeModifiedFiles([...tfFiles, ...tfVarsFiles], repoPath, destPath);
   return recommendationsToClaim;
 };
 
@@ -203,18 +778,38 @@ const isTerraformFile = filePath => {
 };
 
 /**
- * Reads files from a given directory and filters them based on a filtering function.
+ * Lists all files below a directory, skipping VCS metadata and the
+ * .terraform directories where Terraform caches downloaded modules.
+ * @param {string} dir The directory to walk.
+ * @return {Promise<Array<string>>} A promise resolving to the full file paths.
+ */
+const listFilesRecursively = async dir => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return IGNORED_DIRECTORIES.includes(entry.name)
+        ? []
+        : listFilesRecursively(fullPath);
+    }
+    return entry.isFile() ? [fullPath] : [];
+  }));
+  return files.flat();
+};
+
+/**
+ * Reads files from a given directory and all of its subdirectories and
+ * filters them based on a filtering function.
  * @param {string} repoDir The directory where the files are located.
  * @param {function} filterFn A filtering function to apply to each file.
  * @return {Promise<Array>} A promise resolving to an array of filtered files.
  */
 const readFilteredFiles = async (repoDir, filterFn) => {
-  const allFiles = await fs.readdir(repoDir);
+  const allFiles = await listFilesRecursively(repoDir);
   return await Promise.all(
     allFiles
-      .filter(file => filterFn(path.join(repoDir, file)))
-      .map(async file => {
-        const fullPath = path.join(repoDir, file);
+      .filter(filterFn)
+      .map(async fullPath => {
         const contents = await fs.readFile(fullPath, 'utf-8');
         return { path: fullPath, contents };
       })
@@ -222,301 +817,1232 @@ const readFilteredFiles = async (repoDir, filterFn) => {
 };
 
 /**
- * Reads all Terraform files from a given directory.
+ * Checks if a given file path corresponds to a Terraform variable file that
+ * Terraform loads automatically: terraform.tfvars, terraform.tfvars.json and
+ * any *.auto.tfvars or *.auto.tfvars.json.
+ * @param {string} filePath The full path to the file.
+ * @return {boolean} True if the file is a variable file, otherwise false.
+ */
+const isTFVarsFile = filePath => {
+  const name = path.basename(filePath);
+  return ['terraform.tfvars', 'terraform.tfvars.json'].includes(name) ||
+    /\.auto\.tfvars(\.json)?$/.test(name);
+};
+
+/**
+ * Orders variable files the way Terraform applies them: terraform.tfvars,
+ * then terraform.tfvars.json, then *.auto.tfvars files in lexical order.
+ * Values from later files take precedence.
+ * @param {Object} a A variable file.
+ * @param {Object} b Another variable file.
+ * @return {number} The sort order.
+ */
+const compareTFVarsPrecedence = (a, b) => {
+  const rank = ({ path: filePath }) =>
+    ['terraform.tfvars', 'terraform.tfvars.json'].indexOf(path.basename(filePath)) >>> 0;
+  return rank(a) - rank(b) || path.basename(a.path).localeCompare(path.basename(b.path));
+};
+
+/**
+ * Reads the matching files in a repository and parses them as HCL. Files
+ * that cannot be parsed are logged and left out.
+ * @param {string} repoDir The directory where the files are located.
+ * @param {function} filterFn A filtering function to apply to each file.
+ * @return {Promise<Array>} A promise resolving to an array of files with
+ *         their path, contents and parsed body.
+ */
+const readAndParseFiles = async (repoDir, filterFn) => {
+  const files = await readFilteredFiles(repoDir, filterFn);
+
+  return files.flatMap(file => {
+    try {
+      const json = path.extname(file.path) === '.json';
+      return [{ ...file, json, body: hcl.parse(file.contents, { json }) }];
+    } catch (err) {
+      console.error(`Could not parse ${file.path}: ${err.message}`);
+      return [];
+    }
+  });
+};
+
+/**
+ * Reads all Terraform files in a repository and parses them.
  * @param {string} repoDir The directory where the Terraform files are located.
  * @return {Promise<Array>} A promise resolving to an array of Terraform files.
  */
-const readAllTFFiles = async repoDir => {
-  return readFilteredFiles(repoDir, filePath => {
-    return !fs.statSync(filePath).isDirectory() && isTerraformFile(filePath);
-  });
+const readAllTFFiles = repoDir => readAndParseFiles(repoDir, isTerraformFile);
+
+/**
+ * Reads all Terraform variable files in a repository and parses them.
+ * @param {string} repoDir The directory where the variable files are located.
+ * @return {Promise<Array>} A promise resolving to an array of variable files.
+ */
+const readAllTFVarsFiles = repoDir => readAndParseFiles(repoDir, isTFVarsFile);
+
+/**
+ * Applies edits to a parsed Terraform file and re-parses it, so later
+ * lookups see the new contents.
+ * @param {Object} file The file object containing path, contents and body.
+ * @param {Array} edits The edits to apply, as created by hcl.js.
+ */
+const editFile = (file, edits) => {
+  file.contents = hcl.applyEdits(file.contents, edits);
+  file.body = hcl.parse(file.contents, { json: file.json });
+  file.modified = true;
 };
 
 /**
- * Reads and parses the Terraform variable file.
- * @param {string} variableFilePath The full path to the variable file.
- * @return {Promise<Object>} A promise resolving to an object containing the parsed variables.
+ * Writes the files that were edited back to disk.
+ * @param {Array} tfFiles The parsed Terraform files.
+ * @param {string} repoPath The repository path.
+ * @param {string} [destPath] Optional destination path for modified files.
+ * @return {Promise<void>}
  */
-const getTFVariables = async variableFilePath => {
-  const variables = {};
-  try {
-    const contents = await fs.readFile(variableFilePath, 'utf-8');
-    contents.split('\n').forEach(line => {
-      const [key, value] = line.split('=');
-      if (key && value) {
-        variables[key.trim()] = value.replace(/"/g, '').trim();
+const writeModifiedFiles = async (tfFiles, repoPath, destPath) => {
+  const writePath = destPath || repoPath;
+  await Promise.all(
+    tfFiles
+      .filter(file => file.modified)
+      .map(async file => {
+        const filePath = file.path.replace(repoPath, writePath);
+        await fs.writeFile(filePath, file.contents);
+      })
+  );
+};
+
+/**
+ * Checks whether a module source refers to a directory in the same
+ * repository. Registry and Git sources cannot be edited and are skipped.
+ * @param {string} source The value of the module's source attribute.
+ * @return {boolean} True if the source is a local path.
+ */
+const isLocalModuleSource = source =>
+  typeof source === 'string' && /^\.\.?\//.test(source);
+
+/**
+ * Discovers the modules of a repository and builds a map from each resource
+ * address, e.g. module.web.google_compute_instance.app, to the files that
+ * declare it. Modules are followed through their local source paths. Every
+ * directory that is not the source of a module call is a root module, so
+ * repositories with one root per environment are covered as well.
+ * @param {string} repoDir The directory where the Terraform files are located.
+ * @param {Array} tfFiles The parsed Terraform files.
+ * @param {Array} [tfVarsFiles] The parsed variable files of the root modules.
+ * @return {Map<string, Array>} A map from resource address to declarations:
+ *         [{ address, module, file, mode, type, name }]
+ */
+const getResourceIndex = (repoDir, tfFiles, tfVarsFiles = []) => {
+  const filesByDir = new Map();
+  tfFiles.forEach(file => {
+    const dir = path.dirname(file.path);
+    filesByDir.set(dir, [...(filesByDir.get(dir) || []), file]);
+  });
+
+  const getModuleCalls = files => files.flatMap(file =>
+    hcl.getBlocks(file.body, 'module').flatMap(block => {
+      const source = evaluateAttribute(block, 'source', {});
+      return isLocalModuleSource(source)
+        ? [{ name: block.labels[0], dir: path.resolve(path.dirname(file.path), source) }]
+        : [];
+    }));
+
+  const calledDirs = new Set([...filesByDir.values()]
+    .flatMap(files => getModuleCalls(files).map(call => call.dir)));
+  const rootDirs = [...filesByDir.keys()]
+    .filter(dir => dir === repoDir || !calledDirs.has(dir))
+    .sort();
+
+  const index = new Map();
+  const visit = module => {
+    const files = filesByDir.get(module.dir) || [];
+    module.files = files;
+    module.backend = module.parent ? undefined : getBackend(files);
+    module.varFiles = module.parent
+      ? []
+      : tfVarsFiles
+        .filter(file => path.dirname(file.path) === module.dir)
+        .sort(compareTFVarsPrecedence);
+
+    files.forEach(file => {
+      ['resource', 'data'].forEach(mode => {
+        hcl.getBlocks(file.body, mode).forEach(({ labels: [type, name] }) => {
+          const address = [module.address, mode === 'data' && 'data', type, name]
+            .filter(Boolean)
+            .join('.');
+          const declarations = index.get(address) || [];
+          if (!declarations.some(d => d.file === file && d.type === type && d.name === name)) {
+            declarations.push({ address, module, file, mode, type, name });
+          }
+          index.set(address, declarations);
+        });
+      });
+    });
+
+    getModuleCalls(files).forEach(call => {
+      for (let parent = module; parent; parent = parent.parent) {
+        if (parent.dir === call.dir) {
+          console.error(`Module cycle detected at ${call.dir}`);
+          return;
+        }
       }
+      visit({
+        address: [module.address, `module.${call.name}`].filter(Boolean).join('.'),
+        name: call.name,
+        dir: call.dir,
+        depth: module.depth + 1,
+        parent: module,
+      });
     });
-  } catch (err) {
-    console.error(`Could not read ${variableFilePath}: ${err}`);
+  };
+
+  rootDirs.forEach(dir => visit({ address: '', dir, depth: 0, parent: null }));
+  return index;
+};
+
+/**
+ * Reads the gcs backend a root module stores its state with.
+ * @param {Array} files The parsed files of the root module.
+ * @return {Object|undefined} { bucket, prefix }, if the module has one.
+ */
+const getBackend = files => {
+  for (const file of files) {
+    for (const terraform of hcl.getBlocks(file.body, 'terraform')) {
+      const [backend] = hcl.getBlocks(terraform.body, 'backend', 'gcs');
+      if (backend) {
+        return {
+          bucket: evaluateAttribute(backend, 'bucket', {}),
+          prefix: evaluateAttribute(backend, 'prefix', {}),
+        };
+      }
+    }
   }
-  return variables;
+  return undefined;
+};
+
+/**
+ * Checks whether a root module stores its state where the service reads the
+ * state from: its gcs backend has the same prefix and, unless the bucket is
+ * left to the backend configuration, the same bucket.
+ * @param {Object} module A root module of the resource index.
+ * @return {boolean} True if the state is the one of the module.
+ */
+const usesServiceState = ({ backend }) => Boolean(backend) &&
+  (backend.prefix || '').replace(/\/+$/, '') === TERRAFORM_STATE_PREFIX &&
+  (backend.bucket === undefined || backend.bucket === TERRAFORM_STATE_BUCKET);
+
+/**
+ * Looks up the declaration of a resource address in the resource index.
+ * When several root modules declare the address, e.g. one per environment,
+ * the one whose backend holds the state the service reads is used. If that
+ * does not single one out, there is no telling which one the state describes.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {string} address The resource address.
+ * @return {Object|undefined} The declaration of the address, undefined if
+ *         there is none or it is ambiguous.
+ */
+const findDeclaration = (resourceIndex, address) => {
+  const declarations = resourceIndex.get(address) || [];
+  if (declarations.length <= 1) {
+    return declarations[0];
+  }
+
+  const getRoot = module => (module.parent ? getRoot(module.parent) : module);
+  const matching = declarations.filter(({ module }) => usesServiceState(getRoot(module)));
+  if (matching.length === 1) {
+    return matching[0];
+  }
+  console.log(`Skipping ${address}: it is declared in several root modules ` +
+    `(${declarations.map(({ file }) => file.path).join(', ')}) and none or several of ` +
+    `them store their state in ${TERRAFORM_STATE_PREFIX}/${TERRAFORM_WORKSPACE}.tfstate`);
+  return undefined;
+};
+
+/**
+ * Returns the block of a declaration from the current contents of its file.
+ * @param {Object} declaration A declaration from the resource index.
+ * @return {Object|undefined} The resource or data block.
+ */
+const getDeclarationBlock = ({ file, mode, type, name }) =>
+  hcl.getBlocks(file.body, mode, type, name)[0];
+
+/**
+ * Checks whether an expression refers to each.key, each.value or
+ * count.index, i.e. whether its value can differ between instances.
+ * @param {Object} expr An expression node.
+ * @return {boolean} True if the expression depends on the instance.
+ */
+const referencesInstance = expr => {
+  if (!expr || typeof expr !== 'object') return false;
+  if (expr.type === 'traversal' && ['each', 'count'].includes(expr.root)) return true;
+  return Object.values(expr).some(value => Array.isArray(value)
+    ? value.some(referencesInstance)
+    : value && typeof value === 'object' && referencesInstance(value));
+};
+
+/**
+ * Lists the blocks in the module of a resource that refer to it, such as an
+ * instance attaching a disk through google_compute_disk.data.id.
+ * @param {Object} declaration A declaration from the resource index.
+ * @return {Array<string>} The addresses of the referring blocks, e.g.
+ *         google_compute_instance.app or output.ip.
+ */
+const findReferencingBlocks = declaration => {
+  const { module, mode, type, name } = declaration;
+  const refersToResource = expr => {
+    if (!expr || typeof expr !== 'object') return false;
+    if (expr.type === 'traversal') {
+      const steps = mode === 'data' ? expr.steps.slice(1) : expr.steps;
+      if (expr.root === (mode === 'data' ? 'data' : type) &&
+          (mode !== 'data' || (expr.steps[0] && expr.steps[0].name === type)) &&
+          steps[0] && steps[0].name === name) {
+        return true;
+      }
+    }
+    return Object.values(expr).some(value => Array.isArray(value)
+      ? value.some(refersToResource)
+      : value && typeof value === 'object' && refersToResource(value));
+  };
+
+  return module.files.flatMap(file => file.body.items
+    .filter(item => item.type === 'block' &&
+      !(item.blockType === mode && item.labels[0] === type && item.labels[1] === name) &&
+      refersToResource(item.body))
+    .map(block => [
+      module.address,
+      block.blockType === 'resource' ? undefined : block.blockType,
+      ...block.labels,
+    ].filter(Boolean).join('.')));
+};
+
+/**
+ * Builds the context in which the expressions of a resource block are
+ * located: its file and module and the keys of the state instance.
+ * @param {Object} declaration A declaration from the resource index.
+ * @param {Object} block The resource block.
+ * @param {Object} stateInstance The instance details from the state.
+ * @return {Object} { file, module, moduleKeys, instance }
+ */
+const getInstanceContext = (declaration, block, { indexKey, moduleKeys = [] }) => {
+  const forEach = hcl.getAttribute(block.body, 'for_each');
+  return {
+    file: declaration.file,
+    module: declaration.module,
+    moduleKeys,
+    instance: indexKey === undefined ? undefined : {
+      key: indexKey,
+      forEach: forEach && {
+        expr: forEach.expr,
+        file: declaration.file,
+        symbol: `${declaration.address}.for_each`,
+      },
+    },
+  };
+};
+
+/**
+ * Formats a map key or list index the way it is written in a reference.
+ * @param {string|number} key The key.
+ * @return {string} E.g. '[0]', '.blue' or '["eu-west"]'.
+ */
+const formatReferenceKey = key => {
+  if (typeof key === 'number') return `[${key}]`;
+  return /^[A-Za-z_][A-Za-z0-9_-]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
 };
 
 /**
- * Replaces placeholders in the file contents based on the provided variables and regex builder.
- * @param {Object} file The file object containing path and contents.
- * @param {Object} variables The variables to use for replacement.
- * @param {function} regexBuilder A function to build regex patterns for replacement.
- * @return {Object} The file object with replaced contents.
+ * Finds where an attribute of a resource instance gets its value. Attributes
+ * of nested blocks are named by their path, e.g. 'settings.tier'.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {Object} stateInstance The instance details from the state.
+ * @param {string} name The attribute name, e.g. 'machine_type'.
+ * @return {Object|undefined} The location, see locateValue.
  */
-const replaceInContents = (file, variables, regexBuilder) => {
-  let contents = file.contents;
-  Object.keys(variables).forEach(variable => {
-    const reg = regexBuilder(variable);
-    contents = contents.replace(reg, variables[variable]);
+const locateAttribute = (resourceIndex, stateInstance, name) => {
+  const declaration = findDeclaration(resourceIndex, stateInstance.tfResourceAddress);
+  const block = declaration && getDeclarationBlock(declaration);
+  const path = name.split('.');
+  const parent = path.slice(0, -1).reduce((current, blockType) =>
+    current && hcl.getBlocks(current.body, blockType)[0], block);
+  const attribute = parent && hcl.getAttribute(parent.body, path[path.length - 1]);
+  if (!attribute) return undefined;
+
+  return locateValue(attribute.expr, {
+    ...getInstanceContext(declaration, block, stateInstance),
+    symbol: `${declaration.address}.${name}`,
   });
-  return { ...file, contents };
 };
 
 /**
- * Replaces variable values in the contents of Terraform files.
- * @param {string} repoDir The directory where the Terraform files are located.
- * @param {Array} tfContents An array containing the contents of the Terraform files.
- * @return {Promise<Array>} A promise resolving to an array of files with replaced contents.
- */
-const replaceVariableValuesInTFFiles = async (repoDir, tfContents) => {
-  const variableFilePath = path.join(repoDir, 'terraform.tfvars');
-  const variables = await getTFVariables(variableFilePath);
-  return tfContents.map(file => replaceInContents(file, variables, 
-    variable => new RegExp(`\\$\\{\\s*var\\.${variable}\\s*}`, 'gs'))
-  );
+ * Checks whether a resource in the state is one of several instances,
+ * either through its own count or for_each or through a module's.
+ * @param {Object} stateInstance The instance details from the state.
+ * @return {boolean} True if the resource has instance keys.
+ */
+const hasInstanceKeys = ({ indexKey, moduleKeys = [] }) =>
+  indexKey !== undefined || moduleKeys.some(key => key !== undefined);
+
+/**
+ * Evaluates a map key or list index, such as each.key or var.env, in the
+ * module and instance of the locating context.
+ * @param {Object} expr The key expression.
+ * @param {Object} context The locating context.
+ * @return {*} The key, or undefined if it cannot be evaluated.
+ */
+const evaluateInstanceKey = (expr, context) => hcl.evaluate(expr,
+  getInstanceScope(getModuleScope(context.module, context.moduleKeys), context));
+
+/**
+ * Finds the expression in the repository that defines the value of an
+ * expression for one instance of a resource. References are followed
+ * through locals, tfvars, variable defaults and module calls, and each.value,
+ * each.key and count.index are bound to the keys of the instance, so a value
+ * kept in a for_each map or a count list resolves to that instance's entry.
+ * @param {Object} expr The expression to locate.
+ * @param {Object} context Where the expression was found, see getInstanceContext.
+ * @param {Array} [keys] Map keys or list indexes to descend into the value.
+ * @return {Object|undefined} { file, node, symbol, perInstance, parent },
+ *         where symbol names the definition, e.g. local.vms.blue.machine_type,
+ *         perInstance tells whether it is specific to the instance and parent
+ *         is the enclosing { node, index } when the value is an entry of a
+ *         tuple or object; or undefined when the value is computed and cannot
+ *         be edited. When reached through each.key of a map, isKey is set and
+ *         node is the entry's value rather than its key.
+ */
+const locateValue = (expr, context, keys = []) => {
+  const { file, symbol } = context;
+  const perInstance = Boolean(context.perInstance);
+
+  const { parent } = context;
+
+  switch (expr.type) {
+    case 'template':
+    case 'number':
+    case 'bool':
+      return keys.length === 0 ? { file, node: expr, symbol, perInstance, parent } : undefined;
+    case 'object':
+    case 'tuple': {
+      if (keys.length === 0) return { file, node: expr, symbol, perInstance, parent };
+      const [key, ...rest] = keys;
+      // for_each over a set uses the elements themselves as keys
+      const index = expr.type === 'object'
+        ? expr.items.findIndex(item => String(item.keyName !== undefined
+          ? item.keyName
+          : hcl.evaluate(item.key)) === String(key))
+        : typeof key === 'number'
+          ? key
+          : expr.items.findIndex(item => hcl.evaluate(item) === key);
+      const item = expr.items[index];
+      if (!item) return undefined;
+
+      return locateValue(expr.type === 'object' ? item.value : item, {
+        ...context,
+        symbol: `${symbol}${formatReferenceKey(key)}`,
+        parent: { node: expr, index },
+      }, rest);
+    }
+    case 'parens':
+      return locateValue(expr.expr, context, keys);
+    case 'call': {
+      if (['tolist', 'toset', 'tomap'].includes(expr.name) && expr.args.length === 1) {
+        return locateValue(expr.args[0], context, keys);
+      }
+      if (!['lookup', 'element'].includes(expr.name) || expr.args.length < 2) {
+        return undefined;
+      }
+      const key = evaluateInstanceKey(expr.args[1], context);
+      return key === undefined ? undefined : locateValue(expr.args[0], {
+        ...context,
+        perInstance: perInstance || referencesInstance(expr.args[1]),
+      }, [key, ...keys]);
+    }
+    case 'traversal':
+      return locateReference(expr, context, keys);
+    default:
+      return undefined;
+  }
 };
 
+/**
+ * Follows a reference such as local.sizes["blue"], var.size or each.value
+ * to the expression that defines it. See locateValue.
+ * @param {Object} expr The traversal expression.
+ * @param {Object} context The locating context.
+ * @param {Array} keys Map keys or list indexes to descend into the value.
+ * @return {Object|undefined} { file, node, perInstance } or undefined.
+ */
+const locateReference = (expr, context, keys) => {
+  const steps = [];
+  for (const step of expr.steps) {
+    const key = step.type === 'attr'
+      ? step.name
+      : step.expr ? evaluateInstanceKey(step.expr, context) : step.key;
+    if (step.type === 'splat' || key === undefined) return undefined;
+    steps.push(key);
+  }
+
+  const [name, ...rest] = steps;
+  const nextContext = {
+    ...context,
+    perInstance: Boolean(context.perInstance) || referencesInstance(expr),
+    instance: undefined,
+    parent: undefined,
+  };
+
+  switch (expr.root) {
+    case 'local':
+      for (const file of context.module.files) {
+        for (const locals of hcl.getBlocks(file.body, 'locals')) {
+          const local = hcl.getAttribute(locals.body, name);
+          if (local) {
+            return locateValue(local.expr, {
+              ...nextContext,
+              file,
+              symbol: `local.${name}`,
+            }, [...rest, ...keys]);
+          }
+        }
+      }
+      return undefined;
+    case 'var':
+      return locateVariable(name, nextContext, [...rest, ...keys]);
+    case 'each': {
+      // each.key locates the whole for_each entry, so it can be removed
+      const { instance } = context;
+      if (!['key', 'value'].includes(name) || !instance || !instance.forEach) return undefined;
+      const location = locateValue(instance.forEach.expr, {
+        ...nextContext,
+        file: instance.forEach.file,
+        symbol: instance.forEach.symbol,
+      }, [instance.key, ...(name === 'value' ? [...rest, ...keys] : [])]);
+      if (location && name === 'key') {
+        return location.parent && location.parent.node.type === 'tuple' && keys.length === 0
+          ? location
+          : { ...location, isKey: true };
+      }
+      return location;
+    }
+    default:
+      return undefined;
+  }
+};
 
 /**
- * Replaces Service Account values in TF contents using regular expressions
- *
- * @param tfContents the contents of each file
- * @return list of new contents
- */const replaceServiceAccountValues = tfContents => {
-  // Find all service accounts and create map serviceacccountname -> account_id
-  const serviceAccounts = {};
-  tfContents.forEach(file => {
-    const reg = new RegExp(
-      'resource\\s*"google_service_account"\\s*"(\\w+)"\\s*{.+?account_id\\s*=\\s*"(\\w+)".+?}', 'gs'
-    );
-    
-    const groups = reg.exec(file.contents);
-    if (groups) {
-      serviceAccounts[groups[1]] = groups[2];
+ * Finds where an input variable of a module gets its value: the argument of
+ * the module call for child modules, the tfvars files for root modules, and
+ * otherwise the variable's default.
+ * @param {string} name The variable name.
+ * @param {Object} context The locating context.
+ * @param {Array} keys Map keys or list indexes to descend into the value.
+ * @return {Object|undefined} { file, node, perInstance } or undefined.
+ */
+const locateVariable = (name, context, keys) => {
+  const { module, moduleKeys } = context;
+
+  if (module.parent) {
+    for (const file of module.parent.files) {
+      const [call] = hcl.getBlocks(file.body, 'module', module.name);
+      const argument = call && hcl.getAttribute(call.body, name);
+      if (argument) {
+        const key = moduleKeys[module.depth - 1];
+        const forEach = hcl.getAttribute(call.body, 'for_each');
+        return locateValue(argument.expr, {
+          ...context,
+          file,
+          module: module.parent,
+          symbol: `${module.address}.${name}`,
+          instance: key === undefined ? undefined : {
+            key,
+            forEach: forEach && {
+              expr: forEach.expr,
+              file,
+              symbol: `${module.address}.for_each`,
+            },
+          },
+        }, keys);
+      }
+    }
+  } else {
+    for (const file of [...module.varFiles].reverse()) {
+      const assignment = hcl.getAttribute(file.body, name);
+      if (assignment) {
+        return locateValue(assignment.expr, { ...context, file, symbol: `var.${name}` }, keys);
+      }
+    }
+  }
+
+  for (const file of module.files) {
+    const [variable] = hcl.getBlocks(file.body, 'variable', name);
+    const defaultValue = variable && hcl.getAttribute(variable.body, 'default');
+    if (defaultValue) {
+      return locateValue(defaultValue.expr, {
+        ...context,
+        file,
+        symbol: `var.${name}`,
+      }, keys);
     }
+  }
+  return undefined;
+};
+
+/**
+ * Lists the attributes of a body.
+ * @param {Object} body A body node.
+ * @return {Array} The attribute nodes.
+ */
+const getAttributes = body => body.items.filter(item => item.type === 'attribute');
+
+/**
+ * Evaluates the values of the input variables of a module, following
+ * Terraform's precedence: variable defaults, then for root modules the
+ * variable files in the order of compareTFVarsPrecedence, and for child
+ * modules the arguments of the module call. Variables set through the
+ * environment or the command line are not visible to this service.
+ * @param {Object} module A module from the resource index.
+ * @param {Array} moduleKeys The instance key of each module call.
+ * @return {Object} The variable values by name.
+ */
+const getModuleVariables = (module, moduleKeys) => {
+  const variables = {};
+
+  module.files.forEach(file => {
+    hcl.getBlocks(file.body, 'variable').forEach(({ labels: [name], body }) => {
+      const defaultValue = hcl.getAttribute(body, 'default');
+      if (defaultValue) {
+        variables[name] = hcl.evaluate(defaultValue.expr);
+      }
+    });
   });
 
-  if (Object.keys(serviceAccounts).length > 0) {
-    return tfContents.map(file => {
-      let contents = file.contents;
-      Object.keys(serviceAccounts).forEach(sa => {
-        const reg = new RegExp(
-          `\\$\\{\\s*google_service_account\\.${sa}\\.account_id\\s*}`, 'gs'
-        );
+  if (module.parent) {
+    const call = module.parent.files
+      .flatMap(file => hcl.getBlocks(file.body, 'module', module.name))[0];
+    const key = moduleKeys[module.depth - 1];
+    const forEach = hcl.getAttribute(call.body, 'for_each');
+    const parentScope = getInstanceScope(getModuleScope(module.parent, moduleKeys), {
+      instance: key === undefined ? undefined : { key, forEach },
+    });
 
-        contents = contents.replace(reg, serviceAccounts[sa]);
+    getAttributes(call.body)
+      .filter(({ name }) => !MODULE_META_ARGUMENTS.includes(name))
+      .forEach(({ name, expr }) => {
+        variables[name] = hcl.evaluate(expr, parentScope);
+      });
+  } else {
+    module.varFiles.forEach(file => {
+      getAttributes(file.body).forEach(({ name, expr }) => {
+        variables[name] = hcl.evaluate(expr);
       });
-
-      return {
-        path: file.path,
-        contents
-      };
     });
   }
-  
-  return tfContents;
+
+  return variables;
 };
 
 /**
- * Goes through the cloned repo and iterates through each TF manifest to see
- * if the IAM member for which role is changed needs to be updated
- *
- * @param repoPath the path to the terraform repository
- * @param resources a list of resources to apply
- * @param destPath is used for writing to a destination path for tests
- * @return list of recommendation (ids and etags) which have been applied in
- *         the repository
+ * Builds the values that references in a module are evaluated against:
+ * var.* from getModuleVariables, local.* from the locals blocks and, for
+ * resources without count or for_each, the attributes that are set to
+ * values known before apply, e.g. google_service_account.sa.account_id.
+ * The email of a service account is derived from its account_id and
+ * project. Locals and resources may refer to each other in any order, so
+ * they are evaluated in rounds until no more values can be resolved.
+ * @param {Object} module A module from the resource index.
+ * @param {Array} [moduleKeys] The instance key of each module call, used to
+ *        evaluate module arguments that refer to each or count.
+ * @return {Object} The evaluation scope.
  */
-const findAndModifyIAMRoleBindings = async (repoPath, resources, destPath) => {
-  const recommendationsToClaim = [];
-  const writePath = destPath || repoPath;
-  let originalFiles = await readAllTFFiles(repoPath);
-  let tfFiles = await replaceVariableValuesInTFFiles(repoPath, originalFiles);
-  tfFiles = replaceServiceAccountValues(tfFiles);
+const getModuleScope = (module, moduleKeys = []) => {
+  const scope = { var: getModuleVariables(module, moduleKeys), local: {} };
+  const locals = module.files.flatMap(file =>
+    hcl.getBlocks(file.body, 'locals').flatMap(({ body }) => getAttributes(body)));
+  const resources = module.files.flatMap(file =>
+    hcl.getBlocks(file.body, 'resource').filter(({ body }) =>
+      !hcl.getAttribute(body, 'count') && !hcl.getAttribute(body, 'for_each')));
 
-  resources.forEach(resource => {
-    originalFiles = tfFiles.map((file, index) => {
-      const expr = `resource\\s+"google_project_iam_binding"\\s+"${resource.resourceName}"\\s+{.+?project\\s*=\\s*"${resource.project}".+?role\\s*=\\s*"${resource.role}".+?members\\s*=\\s*(\\[.+?"${resource.member}".+?\\]).+?}`;
-      const reg = new RegExp(expr, 'gs');
-      const matches = reg.exec(file.contents);
-
-      if (matches) {
-        recommendationsToClaim.push({
-          id: resource.recommendationID,
-          etag: resource.recommendationETAG,
-        });
+  let resolved = -1;
+  const countResolved = () => Object.keys(scope.local).length +
+    resources.reduce((sum, { labels: [type, name] }) =>
+      sum + Object.keys((scope[type] || {})[name] || {}).length, 0);
 
-        let members = JSON.parse(matches[1]);
-        members = members.filter(mem => mem !== resource.member);
-
-        if (members.length > 0) {
-          const indexOfMember = matches[0].indexOf(`"${resource.member}"`);
-          const lineNumToComment = findLineNumbersFromCharacters(
-            file.contents,
-            matches.index + indexOfMember
-          );
-
-          const contents = commentLines(
-            originalFiles[index].contents,
-            lineNumToComment,
-            lineNumToComment
-          );
-
-          return { ...file, contents };
-        } else {
-          const startLine = findLineNumbersFromCharacters(
-            file.contents,
-            matches.index
-          );
-          const endLine = findLineNumbersFromCharacters(
-            file.contents,
-            matches.index + matches[0].length
-          );
-
-          let contents = commentLines(
-            originalFiles[index].contents,
-            startLine,
-            endLine
-          );
-
-          let additionalLines = '';
-          if (resource.add) {
-            additionalLines = `\n\n${copyLines(
-              originalFiles[index].contents,
-              startLine,
-              endLine
-            )}`;
-            additionalLines = additionalLines.replace(
-              /(.+role\s*=\s*").+?(".+)/gs,
-              `$1${resource.add}$2`
-            );
-          }
+  while (resolved !== countResolved()) {
+    resolved = countResolved();
 
-          return { ...file, contents: contents + additionalLines };
-        }
-      } else {
-        return originalFiles[index];
+    locals.forEach(({ name, expr }) => {
+      const value = hcl.evaluate(expr, scope);
+      if (value !== undefined) scope.local[name] = value;
+    });
+
+    resources.forEach(({ labels: [type, name], body }) => {
+      const attributes = {};
+      getAttributes(body).forEach(({ name: attributeName, expr }) => {
+        const value = hcl.evaluate(expr, scope);
+        if (value !== undefined) attributes[attributeName] = value;
+      });
+      if (type === 'google_service_account' && attributes.account_id && attributes.project) {
+        attributes.email =
+          `${attributes.account_id}@${attributes.project}.iam.gserviceaccount.com`;
+        attributes.name = `projects/${attributes.project}/serviceAccounts/${attributes.email}`;
       }
+      scope[type] = { ...scope[type], [name]: attributes };
     });
-  });
+  }
 
-  await Promise.all(
-    originalFiles.map(async file => {
-      const filePath = file.path.replace(repoPath, writePath);
-      await fs.writeFile(filePath, file.contents);
-    })
-  );
+  return scope;
+};
 
-  return recommendationsToClaim;
+/**
+ * Adds each.key, each.value and count.index of an instance to a scope.
+ * @param {Object} scope The evaluation scope of the module.
+ * @param {Object} context A context with the instance, see getInstanceContext.
+ * @return {Object} The evaluation scope of the instance.
+ */
+const getInstanceScope = (scope, { instance }) => {
+  if (!instance) return scope;
+  const forEachValue = instance.forEach && hcl.evaluate(instance.forEach.expr, scope);
+  const value = Array.isArray(forEachValue)
+    ? instance.key
+    : forEachValue && forEachValue[instance.key];
+  return {
+    ...scope,
+    each: { key: instance.key, value },
+    count: { index: instance.key },
+  };
 };
 
+/**
+ * Evaluates an attribute of a block, or returns undefined if the block does
+ * not set it.
+ * @param {Object} block The block node.
+ * @param {string} name The attribute name.
+ * @param {Object} scope The evaluation scope.
+ * @return {*} The value of the attribute.
+ */
+const evaluateAttribute = (block, name, scope) => {
+  const attribute = hcl.getAttribute(block.body, name);
+  return attribute && hcl.evaluate(attribute.expr, scope);
+};
 
 /**
- * Finds the line number given the character count
- *
- * @param text to search through
- * @param index of the character
- * @return line number
+ * Applies edits to several files, grouping the edits of each file so they
+ * are made against the same contents.
+ * @param {Array} fileEdits The edits: [{ file, edit }]
+ */
+const editFiles = fileEdits => {
+  const editsByFile = new Map();
+  fileEdits.forEach(({ file, edit }) =>
+    editsByFile.set(file, [...(editsByFile.get(file) || []), edit]));
+  editsByFile.forEach((edits, file) => editFile(file, edits));
+};
+
+/**
+ * Identifies the resource whose IAM policy an IAM resource block changes, so
+ * blocks can be compared. Values that cannot be evaluated, such as the name
+ * of a google_folder, are compared by their source text.
+ * @param {Object} file The file of the block.
+ * @param {Object} block The IAM resource block.
+ * @param {string} attribute The attribute naming the resource, e.g. 'folder'.
+ * @param {Object} scope The evaluation scope.
+ * @return {string|undefined} A key that is equal for the same resource.
+ */
+const getIAMResourceKey = (file, block, attribute, scope) => {
+  const { expr } = hcl.getAttribute(block.body, attribute) || {};
+  if (!expr) return undefined;
+  const value = hcl.evaluate(expr, scope);
+  return value === undefined
+    ? file.contents.slice(expr.start, expr.end)
+    : normalizeIAMResourceID(value);
+};
+
+/**
+ * Lists the binding and member resources of a module that grant roles on
+ * the same resource as the given IAM resource. Resources created with count
+ * or for_each are left out, since their members cannot be extended alone.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {Object} declaration The declaration of the IAM resource.
+ * @param {Object} block The block of the IAM resource.
+ * @param {Object} scope The evaluation scope of the IAM resource.
+ * @param {Array} moduleKeys The keys of the module instances it is in.
+ * @return {Array} The grants:
+ *         [{ declaration, block, variant, role, members, membersExpr }]
+ */
+const findIAMGrants = (resourceIndex, declaration, block, scope, moduleKeys) => {
+  const { kind, attribute } = getIAMResourceType(declaration.type);
+  const key = getIAMResourceKey(declaration.file, block, attribute, scope);
+  const moduleScope = getModuleScope(declaration.module, moduleKeys);
+
+  return [...resourceIndex.values()].flat().flatMap(other => {
+    const type = getIAMResourceType(other.type);
+    const otherBlock = other.module === declaration.module && other.mode === 'resource' &&
+      type && type.kind === kind && type.variant !== 'policy' &&
+      getDeclarationBlock(other);
+    if (!otherBlock || other.address === declaration.address ||
+        hcl.getAttribute(otherBlock.body, 'count') ||
+        hcl.getAttribute(otherBlock.body, 'for_each') ||
+        getIAMResourceKey(other.file, otherBlock, attribute, moduleScope) !== key) {
+      return [];
+    }
+
+    const members = type.variant === 'binding'
+      ? hcl.getAttribute(otherBlock.body, 'members')
+      : hcl.getAttribute(otherBlock.body, 'member');
+    return [{
+      declaration: other,
+      block: otherBlock,
+      variant: type.variant,
+      role: evaluateAttribute(otherBlock, 'role', moduleScope),
+      members: members ? [].concat(hcl.evaluate(members.expr, moduleScope)) : [],
+      membersExpr: members && members.expr,
+    }];
+  });
+};
+
+/**
+ * Works out how the replacement roles of a recommendation are granted.
+ * Roles the member already holds through another binding or member
+ * resource need no change, and when a binding for a role exists the member
+ * is added to it instead of creating another resource.
+ * @param {Object} target The resource, its block and evaluation context.
+ * @param {string} memberText The member as written in the new resources.
+ * @return {Object} { edits, changes, roles } with the edits that add the
+ *         member to existing bindings, the changes they make and the roles
+ *         that still need a resource.
  */
-const findLineNumbersFromCharacters = (text, index) => {
-  let num = 1;
-  for (let i = 0; i <= index; i++) {
-    if (text[i] === '\n') {
-      num += 1;
+const planIAMGrants = ({ resource, declaration, block, scope, resourceIndex }, memberText) => {
+  const grants = findIAMGrants(resourceIndex, declaration, block, scope, resource.moduleKeys);
+  const edits = [];
+  const changes = [];
+  const roles = (resource.adds || []).filter(role => {
+    const roleGrants = grants.filter(grant => grant.role === role);
+    if (roleGrants.some(grant => grant.members.includes(resource.member))) {
+      return false;
+    }
+
+    const binding = roleGrants.find(grant =>
+      grant.variant === 'binding' && grant.membersExpr && grant.membersExpr.type === 'tuple');
+    if (!binding) {
+      return true;
     }
+
+    const { file, address } = binding.declaration;
+    edits.push({ file, edit: hcl.appendTupleItem(file.contents, binding.membersExpr, memberText) });
+    changes.push({ file, symbol: `${address}.members[${memberText}]`, added: true });
+    return false;
+  });
+
+  return { edits, changes, roles };
+};
+
+/**
+ * Names a resource in the module of a declaration, e.g.
+ * module.iam.google_project_iam_member.editor_viewer.
+ * @param {Object} declaration A declaration from the resource index.
+ * @param {string} name The name of the resource.
+ * @return {string} The resource address.
+ */
+const getSiblingAddress = (declaration, name) =>
+  [declaration.module.address, declaration.type, name].filter(Boolean).join('.');
+
+/**
+ * Picks a name for a new IAM resource granting a role, derived from the
+ * name of the resource it is copied from, e.g. editor_compute_viewer, and
+ * adds it to the resource index so later recommendations see it.
+ * @param {Map} resourceIndex The index built by getResourceIndex.
+ * @param {Object} declaration The declaration the resource is copied from.
+ * @param {string} role The role of the new resource.
+ * @return {string} A resource name that is not used in the module.
+ */
+const addIAMResourceName = (resourceIndex, declaration, role) => {
+  const suffix = role.replace(/^.*roles\//, '').replace(/[^A-Za-z0-9]+/g, '_').toLowerCase();
+  const getAddress = name => getSiblingAddress(declaration, name);
+
+  let name = `${declaration.name}_${suffix}`;
+  for (let i = 2; resourceIndex.has(getAddress(name)); i++) {
+    name = `${declaration.name}_${suffix}_${i}`;
   }
-  return num;
+
+  const address = getAddress(name);
+  resourceIndex.set(address, [{ ...declaration, address, name }]);
+  return name;
 };
 
 /**
- * Comments out lines of text between specified start and end lines.
- * @param {string} text The original text.
- * @param {number} startLine The 1-based line number where commenting starts.
- * @param {number} endLine The 1-based line number where commenting ends.
- * @return {string} The modified text with lines commented out.
+ * Copies the text of a resource block with another name and some of its
+ * attributes replaced.
+ * @param {Object} file The file of the block.
+ * @param {Object} block The resource block.
+ * @param {string} name The name of the copy.
+ * @param {Object} attributes New attribute expressions as HCL text, by name.
+ * @return {string} The text of the copy.
  */
-const commentLines = (text, startLine, endLine) => {
-  const allLines = text.split('\n');
-  allLines[startLine - 1] = `/* ${allLines[startLine - 1]}`;
-  allLines[endLine - 1] = `${allLines[endLine - 1]} */`;
-  return allLines.join('\n');
+const copyResourceBlock = (file, block, name, attributes) => {
+  const text = file.contents.slice(block.start, block.end);
+  const nameStart = text.indexOf(`"${block.labels[1]}"`);
+  const edits = [{ start: nameStart, end: nameStart + block.labels[1].length + 2, text: `"${name}"` }];
+
+  Object.entries(attributes).forEach(([attributeName, value]) => {
+    const { expr } = hcl.getAttribute(block.body, attributeName);
+    edits.push({ start: expr.start - block.start, end: expr.end - block.start, text: value });
+  });
+  return hcl.applyEdits(text, edits);
 };
 
 /**
- * Copies lines of text between specified start and end lines.
- * @param {string} text The original text.
- * @param {number} startLine The 1-based line number where copying starts.
- * @param {number} endLine The 1-based line number where copying ends.
- * @return {string} The lines of text that were copied.
+ * Removes the member from an IAM binding resource. When it was the
+ * only member the binding is commented out and copies of it with the
+ * replacement roles are added. Otherwise the member gets new bindings for
+ * the replacement roles, unless bindings for them already exist.
+ * @param {Object} target The resource, its block and evaluation context.
+ * @return {Array|null} The changes made: [{ file, symbol, from, to }] or
+ *         with removed, commentedOut or added set; null if the
+ *         recommendation could not be applied.
  */
-const copyLines = (text, startLine, endLine) => {
-  const allLines = text.split('\n');
-  return allLines.slice(startLine - 1, endLine).join('\n');
+const modifyIAMBinding = (target) => {
+  const { resource, declaration, block, context, scope, resourceIndex } = target;
+  if (evaluateAttribute(block, 'role', scope) !== resource.role) {
+    return null;
+  }
+
+  // Bindings created with count or for_each usually take their members
+  // from a map or list, so edit that instance's entry instead
+  const { file, address } = declaration;
+  const members = hcl.getAttribute(block.body, 'members');
+  const location = members && (hasInstanceKeys(resource)
+    ? locateValue(members.expr, { ...context, symbol: `${address}.members` })
+    : { file, node: members.expr, symbol: `${address}.members` });
+  const memberIndex = location && location.node.type === 'tuple'
+    ? location.node.items.findIndex(item =>
+      hcl.evaluate(item, scope) === resource.member)
+    : -1;
+  if (memberIndex === -1) {
+    return null;
+  }
+
+  const memberItem = location.node.items[memberIndex];
+  const memberText = referencesInstance(memberItem)
+    ? hcl.toHCL(resource.member)
+    : location.file.contents.slice(memberItem.start, memberItem.end);
+  const { edits, changes, roles } = planIAMGrants(target, memberText);
+  if (roles.length > 0 && hasInstanceKeys(resource)) {
+    console.log(`Could not grant ${roles.join(', ')} next to ${resource.instanceAddress}`);
+    return null;
+  }
+
+  if (location.node.items.length > 1 || hasInstanceKeys(resource)) {
+    edits.push({
+      file: location.file,
+      edit: hcl.removeCollectionItem(location.file.contents, location.node, memberIndex),
+    });
+    changes.push({
+      file: location.file,
+      symbol: `${location.symbol}[${memberText}]`,
+      removed: true,
+    });
+    if (roles.length > 0) {
+      const names = roles.map(role => addIAMResourceName(resourceIndex, declaration, role));
+      edits.push({
+        file,
+        edit: hcl.insertAfterNode(block, roles.map((role, i) =>
+          copyResourceBlock(file, block, names[i], {
+            role: hcl.toHCL(role),
+            members: `[${memberText}]`,
+          })).join('\n\n')),
+      });
+      names.forEach(name =>
+        changes.push({ file, symbol: getSiblingAddress(declaration, name), added: true }));
+    }
+  } else {
+    // Keep the old binding visible and add copies with the new roles. The
+    // first copy keeps the name, so it replaces the old binding in the state
+    const edit = hcl.commentOutNode(file.contents, block);
+    changes.push({ file, symbol: address, commentedOut: true });
+    roles.forEach((role, i) => {
+      const name = i === 0
+        ? declaration.name
+        : addIAMResourceName(resourceIndex, declaration, role);
+      edit.text += `\n\n${copyResourceBlock(file, block, name, { role: hcl.toHCL(role) })}`;
+      changes.push({ file, symbol: getSiblingAddress(declaration, name), added: true });
+    });
+    edits.push({ file, edit });
+  }
+
+  editFiles(edits);
+  return changes;
 };
 
 /**
- * Replaces a line of text at a given line number.
- * @param {string} contents The original text.
- * @param {number} lineNum The 1-based line number to replace.
- * @param {string} text The new text to insert.
- * @return {string} The modified text with the line replaced.
+ * Applies a recommendation to an IAM member resource. The resource is
+ * removed, or its role is swapped when a replacement role is recommended
+ * and copies are added for any further replacement roles. Roles that are
+ * already granted through binding resources are merged into those instead.
+ * For members created with count or for_each, the instance's entry is
+ * removed from or changed in the collection they are created from.
+ * @param {Object} target The resource, its block and evaluation context.
+ * @return {Array|null} The changes made, see modifyIAMBinding; null if the
+ *         recommendation could not be applied.
  */
-const replaceLine = (contents, lineNum, text) => {
-  const allLines = contents.split('\n');
-  allLines[lineNum - 1] = text;
-  return allLines.join('\n');
+const modifyIAMMember = (target) => {
+  const { resource, declaration, block, context, scope, resourceIndex } = target;
+  if (evaluateAttribute(block, 'role', scope) !== resource.role ||
+      evaluateAttribute(block, 'member', scope) !== resource.member) {
+    return null;
+  }
+
+  const { file, address } = declaration;
+  const memberExpr = hcl.getAttribute(block.body, 'member').expr;
+  const { edits, changes, roles } = planIAMGrants(target, referencesInstance(memberExpr)
+    ? hcl.toHCL(resource.member)
+    : file.contents.slice(memberExpr.start, memberExpr.end));
+
+  if (roles.length > 0) {
+    const role = locateValue(hcl.getAttribute(block.body, 'role').expr,
+      { ...context, symbol: `${address}.role` });
+    if (!role || role.isKey || role.node.value === undefined ||
+        (hasInstanceKeys(resource) && (!role.perInstance || roles.length > 1))) {
+      console.log(`Could not change the role of ${resource.instanceAddress} alone`);
+      return null;
+    }
+    edits.push({ file: role.file, edit: hcl.replaceExpression(role.node, hcl.toHCL(roles[0])) });
+    changes.push({ file: role.file, symbol: role.symbol, from: role.node.value, to: roles[0] });
+
+    if (roles.length > 1) {
+      const names = roles.slice(1).map(extraRole =>
+        addIAMResourceName(resourceIndex, declaration, extraRole));
+      edits.push({
+        file,
+        edit: hcl.insertAfterNode(block, roles.slice(1).map((extraRole, i) =>
+          copyResourceBlock(file, block, names[i], {
+            role: hcl.toHCL(extraRole),
+          })).join('\n\n')),
+      });
+      names.forEach(name =>
+        changes.push({ file, symbol: getSiblingAddress(declaration, name), added: true }));
+    }
+  } else if (!hasInstanceKeys(resource)) {
+    edits.push({ file, edit: hcl.removeNode(file.contents, block) });
+    changes.push({ file, symbol: address, removed: true });
+  } else {
+    const member = locateValue(memberExpr, { ...context, symbol: `${address}.member` });
+    if (!member || !member.perInstance || !member.parent) {
+      skipIdleResource(resource, `Could not remove ${resource.instanceAddress} alone`);
+      return null;
+    }
+    edits.push({
+      file: member.file,
+      edit: hcl.removeCollectionItem(member.file.contents, member.parent.node, member.parent.index),
+    });
+    changes.push({ file: member.file, symbol: member.symbol, removed: true });
+  }
+
+  editFiles(edits);
+  return changes;
 };
 
 /**
- * Applies VM resize recommendations to a Terraform repo.
- * @param {string} repoName The name of the repo where Terraform files are located.
- * @param {Array} vmResizeRecommendations An array of VM resize recommendations.
- * @param {boolean} isStub A flag to indicate if the function should run in stub mode.
- * @return {Promise<Array>} A promise resolving to an array of claimed recommendations.
+ * Applies a recommendation to an IAM policy resource whose policy_data
+ * comes from a google_iam_policy data source. The member is removed from
+ * the binding block of the old role and added to the binding blocks of the
+ * replacement roles, which are created if the policy has none.
+ * @param {Object} target The resource, its block and evaluation context.
+ * @return {Array|null} The changes made, see modifyIAMBinding; null if the
+ *         recommendation could not be applied.
  */
-const applyVMResizeRecommendations = async (repoName, vmResizeRecommendations, isStub) => {
-  let recommendationsToClaim = [];
+const modifyIAMPolicy = ({ resource, declaration, block, resourceIndex }) => {
+  const policyData = hcl.getAttribute(block.body, 'policy_data');
+  const reference = policyData && policyData.expr;
+  if (!reference || reference.type !== 'traversal' || reference.root !== 'data' ||
+      reference.steps.length < 2 || reference.steps[0].name !== 'google_iam_policy') {
+    console.log(`policy_data of ${resource.instanceAddress} does not come from a google_iam_policy`);
+    return null;
+  }
+
+  const policyDeclaration = findDeclaration(resourceIndex,
+    [declaration.module.address, 'data.google_iam_policy', reference.steps[1].name]
+      .filter(Boolean)
+      .join('.'));
+  const policy = policyDeclaration && getDeclarationBlock(policyDeclaration);
+  if (!policy) {
+    return null;
+  }
+
+  const { file } = policyDeclaration;
+  const getBindingSymbol = role => `${policyDeclaration.address}.binding[${hcl.toHCL(role)}]`;
+  const scope = getModuleScope(policyDeclaration.module, resource.moduleKeys);
+  const bindings = hcl.getBlocks(policy.body, 'binding');
+  const findBinding = role => bindings.find(binding =>
+    evaluateAttribute(binding, 'role', scope) === role);
+  const getMembers = binding => {
+    const members = binding && hcl.getAttribute(binding.body, 'members');
+    return members && members.expr.type === 'tuple' ? members.expr : undefined;
+  };
+
+  const source = findBinding(resource.role);
+  const sourceMembers = getMembers(source);
+  const memberIndex = sourceMembers
+    ? sourceMembers.items.findIndex(item => hcl.evaluate(item, scope) === resource.member)
+    : -1;
+  const adds = resource.adds || [];
+  const targets = adds.map(findBinding);
+  if (memberIndex === -1 || targets.some(target => target && !getMembers(target))) {
+    return null;
+  }
+
+  const memberItem = sourceMembers.items[memberIndex];
+  const memberText = file.contents.slice(memberItem.start, memberItem.end);
+  const emptied = sourceMembers.items.length === 1;
+  const newRoles = adds.filter((role, i) => !targets[i]);
+  const edits = [];
+  const changes = [];
 
-  const tfState = await getTFState();
-  const resourceNames = getVMResourcesByIdFromState(tfState, vmResizeRecommendations);
-  
-  if (resourceNames.length > 0) {
-    recommendationsToClaim = await findAndModifyInstances(`/repo/${repoName}`, resourceNames);
+  targets.forEach((target, i) => {
+    const targetMembers = getMembers(target);
+    if (target && !targetMembers.items.some(item => hcl.evaluate(item, scope) === resource.member)) {
+      edits.push(hcl.appendTupleItem(file.contents, targetMembers, memberText));
+      changes.push({ file, symbol: `${getBindingSymbol(adds[i])}.members[${memberText}]`, added: true });
+    }
+  });
+
+  if (emptied && newRoles.length > 0) {
+    // The member was the only one, so the whole binding moves to a new role
+    const newRole = newRoles.shift();
+    edits.push(hcl.replaceExpression(
+      hcl.getAttribute(source.body, 'role').expr, hcl.toHCL(newRole)));
+    changes.push({
+      file,
+      symbol: `${getBindingSymbol(resource.role)}.role`,
+      from: resource.role,
+      to: newRole,
+    });
+  } else if (emptied) {
+    edits.push(hcl.removeNode(file.contents, source));
+    changes.push({ file, symbol: getBindingSymbol(resource.role), removed: true });
+  } else {
+    edits.push(hcl.removeCollectionItem(file.contents, sourceMembers, memberIndex));
+    changes.push({
+      file,
+      symbol: `${getBindingSymbol(resource.role)}.members[${memberText}]`,
+      removed: true,
+    });
   }
 
+  if (newRoles.length > 0) {
+    newRoles.forEach(role => changes.push({ file, symbol: getBindingSymbol(role), added: true }));
+    const anchor = bindings[bindings.length - 1];
+    const indent = hcl.indentation(file.contents, anchor.start);
+    edits.push(hcl.insertAfterNode(anchor, newRoles.map(role => [
+      `${indent}binding {`,
+      `${indent}  role    = ${hcl.toHCL(role)}`,
+      `${indent}  members = [${memberText}]`,
+      `${indent}}`,
+    ].join('\n')).join('\n\n')));
+  }
+
+  editFile(file, edits);
+  return changes;
+};
+
+const IAM_MODIFIERS = {
+  binding: modifyIAMBinding,
+  member: modifyIAMMember,
+  policy: modifyIAMPolicy,
+};
+
+/**
+ * Goes through the cloned repo and iterates through each TF manifest to see
+ * if the IAM member for which role is changed needs to be updated. Bindings,
+ * members and policies are handled by the functions in IAM_MODIFIERS.
+ *
+ * @param repoPath the path to the terraform repository
+ * @param resources a list of resources to apply
+ * @param destPath is used for writing to a destination path for tests
+ * @return list of recommendations which have been applied in the
+ *         repository, with the changes made to each binding:
+ *         [{ id, etag, resource, changes, warnings }]
+ */
+const findAndModifyIAMRoleBindings = async (repoPath, resources, destPath) => {
+  const recommendationsToClaim = [];
+  const tfFiles = await readAllTFFiles(repoPath);
+  const tfVarsFiles = await readAllTFVarsFiles(repoPath);
+  const resourceIndex = getResourceIndex(repoPath, tfFiles, tfVarsFiles);
+
+  for (const resource of resources) {
+    const declaration = findDeclaration(resourceIndex, resource.resourceAddress);
+    const block = declaration && getDeclarationBlock(declaration);
+    const { attribute, variant } =
+      getIAMResourceType(resource.resourceType || 'google_project_iam_binding');
+    const modify = IAM_MODIFIERS[variant];
+    if (!block) {
+      continue;
+    }
+
+    // Values computed by other resources, such as the name of a
+    // google_folder, cannot be checked against the state
+    const context = getInstanceContext(declaration, block, resource);
+    const scope = getInstanceScope(
+      getModuleScope(declaration.module, resource.moduleKeys), context);
+    const iamResource = evaluateAttribute(block, attribute, scope);
+    if (iamResource !== undefined &&
+        normalizeIAMResourceID(iamResource) !== normalizeIAMResourceID(resource.iamResource)) {
+      continue;
+    }
+
+    const changes = modify({ resource, declaration, block, context, scope, resourceIndex });
+    if (changes) {
+      recommendationsToClaim.push({
+        id: resource.recommendationID,
+        etag: resource.recommendationETAG,
+        resource: resource.instanceAddress,
+        changes: changes.map(change => ({ ...change, file: path.relative(repoPath, change.file.path) })),
+        warnings: [],
+      });
+    }
+  }
+
+  await writeModifiedFiles([...tfFiles, ...tfVarsFiles], repoPath, destPath);
   return recommendationsToClaim;
 };
 
 /**
- * Applies IAM role recommendations to a Terraform repo.
+ * Applies the recommendations of a recommendation type to a Terraform repo:
+ * the type matches them to resources in the Terraform state and then edits
+ * the Terraform files of those resources.
+ * @param {Object} handler The recommendation type, see handlers.js.
  * @param {string} repoName The name of the repo where Terraform files are located.
- * @param {Array} iamRecommendations An array of IAM recommendations.
- * @param {boolean} isStub A flag to indicate if the function should run in stub mode.
- * @return {Promise<Array>} A promise resolving to an array of claimed recommendations.
+ * @param {Array} recommendations The filtered recommendations.
+ * @param {Object} context { isStub, body } with the stub flag and the request body,
+ *        and the Terraform state if it was already fetched.
+ * @return {Promise<Object>} A promise resolving to the resources the recommendations
+ *        matched in the state and the claimed recommendations,
+ *        { resources, recommendationsToClaim }.
  */
-const applyIAMRecommendations = async (repoName, iamRecommendations, isStub) => {
+const applyRecommendations = async ({ matchState, modify }, repoName, recommendations, context) => {
   let recommendationsToClaim = [];
 
-  const tfState = await getTFState();
-  const resourceNames = await getIAMBindingsFromState(tfState, iamRecommendations, isStub);
-  
-  if (resourceNames.length > 0) {
-    recommendationsToClaim = await findAndModifyIAMRoleBindings(`/repo/${repoName}`, resourceNames);
+  const tfState = context.state || await getTFState();
+  const resources = await matchState(tfState, recommendations, context);
+
+  if (resources.length > 0) {
+    recommendationsToClaim = await modify(
+      `${GIT_WORK_DIR_PATH}/${repoName}`, resources, { ...context, state: tfState });
   }
 
-  return recommendationsToClaim;
+  return { resources, recommendationsToClaim };
 };
 
 export {
   GIT_WORK_DIR_PATH,
-  applyVMResizeRecommendations,
-  applyIAMRecommendations
+  INSTANCE_TEMPLATE_TYPES,
+  applyRecommendations,
+  getTFState,
+  getStateInstancesOfType,
+  getZonesFromState,
+  getVMResourcesByIdFromState,
+  getResourcesByIdFromState,
+  getInstanceTemplatesFromState,
+  getDatabaseInstancesFromState,
+  getIAMBindingsFromState,
+  findAndModifyInstances,
+  findAndModifyInstanceTemplates,
+  findAndModifyDatabaseInstances,
+  findAndModifyIdleResources,
+  findAndModifyIAMRoleBindings,
 };
-
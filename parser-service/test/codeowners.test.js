@@ -0,0 +1,110 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { getCodeOwners } from '../codeowners.js';
+
+process.env.TERRAFORM_STATE_BUCKET = process.env.TERRAFORM_STATE_BUCKET || 'state-bucket';
+const terraform = await import('../terraform.js');
+
+describe('codeowners', () => {
+  let repoPath;
+
+  beforeEach(async () => {
+    repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'codeowners-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  /**
+   * Writes a CODEOWNERS file with one owner per pattern, named after its line.
+   *
+   * @param {Array<string>} patterns The patterns, in the order of the file.
+   */
+  const writeCodeOwners = (patterns) => fs.outputFile(path.join(repoPath, '.github/CODEOWNERS'),
+    patterns.map((pattern, i) => `${pattern} @owner${i}`).join('\n'));
+
+  const ownersOf = async (pattern, files) => {
+    await writeCodeOwners([pattern]);
+    return Object.fromEntries(await Promise.all(files.map(async (file) =>
+      [file, (await getCodeOwners(repoPath, [file])).length > 0])));
+  };
+
+  describe('getCodeOwners', () => {
+    it('matches a wildcard in the last segment within its directory only', async () => {
+      assert.deepEqual(await ownersOf('docs/*', ['docs/a.tf', 'docs/a/b.tf', 'x/docs/a.tf']),
+        { 'docs/a.tf': true, 'docs/a/b.tf': false, 'x/docs/a.tf': false });
+      assert.deepEqual(await ownersOf('*.tf', ['main.tf', 'envs/prod/main.tf', 'main.tf.bak']),
+        { 'main.tf': true, 'envs/prod/main.tf': true, 'main.tf.bak': false });
+    });
+
+    it('matches everything in a directory', async () => {
+      assert.deepEqual(await ownersOf('modules/network', ['modules/network/main.tf', 'modules/networks.tf']),
+        { 'modules/network/main.tf': true, 'modules/networks.tf': false });
+      assert.deepEqual(await ownersOf('network/', ['modules/network/main.tf', 'network']),
+        { 'modules/network/main.tf': true, network: false });
+      assert.deepEqual(await ownersOf('/envs/**', ['envs/prod/main.tf', 'x/envs/main.tf']),
+        { 'envs/prod/main.tf': true, 'x/envs/main.tf': false });
+    });
+
+    it('matches any depth with a leading **', async () => {
+      assert.deepEqual(await ownersOf('**/prod/*.tf', ['prod/main.tf', 'envs/prod/main.tf', 'prod/a/main.tf']),
+        { 'prod/main.tf': true, 'envs/prod/main.tf': true, 'prod/a/main.tf': false });
+    });
+
+    it('lets the last matching pattern decide', async () => {
+      await writeCodeOwners(['*.tf', 'iam/']);
+      assert.deepEqual(await getCodeOwners(repoPath, ['main.tf', 'iam/main.tf']), ['@owner0', '@owner1']);
+      assert.deepEqual(await getCodeOwners(repoPath, ['iam/main.tf']), ['@owner1']);
+    });
+
+    it('finds the owners of the files an IAM change touches', async () => {
+      await writeCodeOwners(['*.tf', '/iam/']);
+      await fs.outputFile(path.join(repoPath, 'iam/members.tf'),
+        'resource "google_project_iam_member" "editor" {\n  project = "p"\n' +
+        '  role    = "roles/editor"\n  member  = "user:a@example.com"\n}\n');
+      const state = {
+        resources: [{
+          mode: 'managed',
+          type: 'google_project_iam_member',
+          name: 'editor',
+          instances: [{ attributes: { project: 'p', role: 'roles/editor', member: 'user:a@example.com' } }],
+        }],
+      };
+      const resources = await terraform.getIAMBindingsFromState(state, [{
+        recommendationID: 'projects/p/locations/global/recommenders/google.iam.policy.Recommender/recommendations/i',
+        recommendationETAG: 'etag',
+        project: 'p',
+        resourceKind: 'project',
+        resourceID: 'p',
+        role: 'roles/editor',
+        member: 'user:a@example.com',
+        adds: [],
+      }], true);
+
+      const claims = await terraform.findAndModifyIAMRoleBindings(repoPath, resources);
+      const files = claims.flatMap(({ changes }) => changes.map(({ file }) => file));
+
+      assert.deepEqual(files, ['iam/members.tf']);
+      assert.deepEqual(await getCodeOwners(repoPath, files), ['@owner1']);
+    });
+  });
+});
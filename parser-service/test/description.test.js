@@ -0,0 +1,151 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import { describeChanges } from '../description.js';
+
+const ID = 'projects/p/locations/us-central1-a/recommenders/google.compute.instance.MachineTypeRecommender/recommendations/abc';
+const IAM_ID = 'projects/p/locations/global/recommenders/google.iam.policy.Recommender/recommendations/iam1';
+
+const resizeClaim = (overrides = {}) => ({
+  id: ID,
+  etag: '"etag"',
+  resource: 'google_compute_instance.web',
+  target: '//compute.googleapis.com/projects/p/zones/us-central1-a/instances/web',
+  changes: [{ file: 'main.tf', symbol: 'google_compute_instance.web.machine_type', from: 'n1-standard-4', to: 'e2-standard-2' }],
+  warnings: [],
+  details: {
+    current: 'n1-standard-4',
+    recommended: 'e2-standard-2',
+    monthlyCost: { amount: -48.5, currencyCode: 'USD' },
+    description: 'Save cost by changing machine type',
+  },
+  ...overrides,
+});
+
+const iamClaim = {
+  id: IAM_ID,
+  etag: '"etag"',
+  resource: 'google_project_iam_member.editor',
+  target: '//cloudresourcemanager.googleapis.com/projects/p roles/editor user:a@example.com',
+  changes: [{ file: 'iam.tf', symbol: 'google_project_iam_member.editor', removed: true }],
+  warnings: [],
+  details: {
+    member: 'user:a@example.com',
+    role: 'roles/editor',
+    adds: ['roles/viewer'],
+    permissions: { used: 12, granted: 3456 },
+  },
+};
+
+const section = (description, title) =>
+  description.split('\n\n### ').find((part) => part.startsWith(title));
+
+describe('description', () => {
+  describe('describeChanges', () => {
+    it('lists a row per changed resource with its recommendation ID', () => {
+      const description = describeChanges('Summary', [resizeClaim()]);
+
+      assert.equal(section(description, 'Resources'), [
+        'Resources',
+        '| Resource | Current | Recommended | Monthly cost | Recommendation |',
+        '| --- | --- | --- | --- | --- |',
+        '| `//compute.googleapis.com/projects/p/zones/us-central1-a/instances/web` | `n1-standard-4` ' +
+          '| `e2-standard-2` | -$48.50 USD/month | `abc` |',
+      ].join('\n'));
+      assert.equal(section(description, 'Changes'), 'Changes\n' +
+        '- `main.tf`: `google_compute_instance.web.machine_type` changed from `n1-standard-4` to `e2-standard-2`');
+      assert.equal(section(description, 'Why'), 'Why\n- Save cost by changing machine type');
+    });
+
+    it('falls back to the changes and the resource without details', () => {
+      const claim = resizeClaim({ details: undefined, target: undefined,
+        changes: [{ file: 'disk.tf', symbol: 'google_compute_disk.scratch', commentedOut: true }] });
+
+      assert.match(describeChanges('Summary', [claim]),
+        /\| `google_compute_instance.web` \| - \| `comment out` \| - \| `abc` \|/);
+    });
+
+    it('sums the monthly costs of the same currency', () => {
+      const description = describeChanges('Summary', [
+        resizeClaim(),
+        resizeClaim({ id: `${ID}2`, details: { monthlyCost: { amount: -1.25, currencyCode: 'USD' } } }),
+        resizeClaim({ id: `${ID}3`, details: { monthlyCost: { amount: 0, currencyCode: 'USD' } } }),
+      ]);
+
+      assert.match(description, /^Summary\n\nEstimated cost impact: -\$49\.75 USD\/month\n/);
+      assert.match(description, /\| \$0\.00 USD\/month \|/);
+    });
+
+    it('leaves out the cost impact of mixed currencies', () => {
+      const description = describeChanges('Summary', [
+        resizeClaim(),
+        resizeClaim({ id: `${ID}2`, details: { monthlyCost: { amount: 10, currencyCode: 'EUR' } } }),
+      ]);
+
+      assert.doesNotMatch(description, /Estimated cost impact/);
+      assert.match(description, /\| \+€10\.00 EUR\/month \|/);
+    });
+
+    it('lists the used and granted permissions of IAM bindings', () => {
+      const description = describeChanges('Summary', [iamClaim]);
+
+      assert.equal(section(description, 'IAM bindings'), [
+        'IAM bindings',
+        '| Member | Resource | Current role | Recommended roles | Used / granted permissions | Recommendation |',
+        '| --- | --- | --- | --- | --- | --- |',
+        '| `user:a@example.com` | `//cloudresourcemanager.googleapis.com/projects/p` | `roles/editor` ' +
+          '| `roles/viewer` | 12 / 3456 | `iam1` |',
+      ].join('\n'));
+      assert.equal(section(description, 'Resources'), undefined);
+      assert.match(describeChanges('Summary', [{ ...iamClaim, details: { ...iamClaim.details, adds: [], permissions: undefined } }]),
+        /\| `roles\/editor` \| none \| - \| `iam1` \|/);
+    });
+
+    it('lists warnings, failures and recommendations skipped by policy', () => {
+      const description = describeChanges('Summary', [resizeClaim({ warnings: ['Shared value'] })],
+        [{ parent: 'projects/q', location: 'global', error: 'Denied' }],
+        [{ id: `${ID}2`, target: 'web-2', rule: 'protect-prod', reason: 'labelled env=prod' }]);
+
+      assert.equal(section(description, 'Warnings'), 'Warnings\n- Shared value\n' +
+        '- Recommendations for `projects/q` in `global` could not be fetched: Denied');
+      assert.equal(section(description, 'Skipped by policy'),
+        'Skipped by policy\n- `web-2`: rule `protect-prod` matched, labelled env=prod');
+    });
+
+    it('puts each raw recommendation in a collapsible section', () => {
+      const raw = { name: ID, content: { overview: { machineType: 'e2-standard-2' } } };
+      const description = describeChanges('Summary', [resizeClaim({ raw })]);
+
+      assert.equal(section(description, 'Raw recommendations'), 'Raw recommendations\n\n' +
+        '<details>\n<summary>Recommendation abc</summary>\n\n' +
+        `\`\`\`json\n${JSON.stringify(raw, null, 2)}\n\`\`\`\n</details>`);
+    });
+
+    it('keeps the description within 60000 characters', () => {
+      const raw = { name: ID, padding: 'x'.repeat(7000) };
+      const claims = Array.from({ length: 20 }, (_, i) => resizeClaim({ id: `${ID}-${i}`, raw }));
+
+      const description = describeChanges('Summary', claims);
+
+      assert.ok(description.length <= 60000, `${description.length} characters`);
+      const kept = (description.match(/<details>/g) || []).length;
+      assert.ok(kept > 0 && kept < 20);
+      assert.match(description, new RegExp(`\\n\\n${20 - kept} more left out for length\\.$`));
+      assert.equal((description.match(/\| `abc-\d+` \|/g) || []).length, 20);
+    });
+  });
+});
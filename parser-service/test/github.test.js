@@ -0,0 +1,85 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import esmock from 'esmock';
+
+const SECRET = 'webhook-secret';
+const PAYLOAD = Buffer.from(JSON.stringify({ action: 'closed', number: 7 }));
+
+const sign = (payload, secret = SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+
+/**
+ * Imports a fresh github.js, which reads GITHUB_WEBHOOK_SECRET when loaded.
+ *
+ * @param {string} [secret] The webhook secret, unset if undefined.
+ * @returns {Promise<Object>} The module.
+ */
+const importGitHub = async (secret) => {
+  const previous = process.env.GITHUB_WEBHOOK_SECRET;
+  if (secret === undefined) {
+    delete process.env.GITHUB_WEBHOOK_SECRET;
+  } else {
+    process.env.GITHUB_WEBHOOK_SECRET = secret;
+  }
+  try {
+    return await esmock('../github.js');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.GITHUB_WEBHOOK_SECRET;
+    } else {
+      process.env.GITHUB_WEBHOOK_SECRET = previous;
+    }
+  }
+};
+
+describe('github', () => {
+  describe('verifyWebhookSignature', () => {
+    let github;
+
+    before(async () => {
+      github = await importGitHub(SECRET);
+    });
+
+    it('accepts the HMAC of the payload keyed with the secret', () => {
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD)), true);
+    });
+
+    it('rejects a signature made with another secret or of another payload', () => {
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD, 'other')), false);
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, sign(Buffer.from('{}'))), false);
+    });
+
+    it('rejects a missing signature or payload', () => {
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, undefined), false);
+      assert.equal(github.verifyWebhookSignature(undefined, sign(PAYLOAD)), false);
+    });
+
+    it('rejects a signature of another length', () => {
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD).slice(0, -1)), false);
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, `${sign(PAYLOAD)}0`), false);
+      assert.equal(github.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD).replace('sha256=', 'sha1=')), false);
+    });
+
+    it('rejects every signature without a secret', async () => {
+      const unconfigured = await importGitHub(undefined);
+      assert.equal(unconfigured.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD)), false);
+      assert.equal(unconfigured.verifyWebhookSignature(PAYLOAD, sign(PAYLOAD, '')), false);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import * as hcl from '../hcl.js';
+
+const SRC = `# Instances of the web tier
+resource "google_compute_instance" "web" {
+  name         = "web-1" // inline comment
+  machine_type = "n1-standard-4"
+  tags         = ["http", "https"]
+
+  /* block comment */
+  boot_disk {
+    initialize_params {
+      image = "debian-cloud/debian-11"
+    }
+  }
+
+  metadata = {
+    startup-script = <<-EOT
+      #!/bin/bash
+      echo "\${var.greeting}"
+    EOT
+  }
+}
+`;
+
+const getInstance = (root) => hcl.getBlocks(root, 'resource', 'google_compute_instance', 'web')[0];
+
+describe('hcl', () => {
+  describe('parse', () => {
+    it('reads attributes, nested blocks and heredocs with their offsets', () => {
+      const root = hcl.parse(SRC);
+      const instance = getInstance(root);
+      const machineType = hcl.getAttribute(instance.body, 'machine_type');
+
+      assert.equal(hcl.evaluate(machineType.expr), 'n1-standard-4');
+      assert.equal(SRC.slice(machineType.expr.start, machineType.expr.end), '"n1-standard-4"');
+
+      const [bootDisk] = hcl.getBlocks(instance.body, 'boot_disk');
+      const [params] = hcl.getBlocks(bootDisk.body, 'initialize_params');
+      assert.equal(hcl.evaluate(hcl.getAttribute(params.body, 'image').expr), 'debian-cloud/debian-11');
+
+      const metadata = hcl.getAttribute(instance.body, 'metadata').expr;
+      const script = metadata.items[0].value;
+      assert.equal(hcl.evaluate(script, { var: { greeting: 'hi' } }), '#!/bin/bash\necho "hi"\n');
+    });
+
+    it('reads heredocs in files with CRLF line endings', () => {
+      const src = 'a = <<EOF\r\nhi\r\nEOF\r\nb = <<-EOT\r\n  x\r\n  EOT\r\nc = "d"\r\n';
+      const root = hcl.parse(src);
+      const a = hcl.getAttribute(root, 'a').expr;
+      const c = hcl.getAttribute(root, 'c').expr;
+
+      assert.equal(src.slice(a.start, a.end), '<<EOF\r\nhi\r\nEOF');
+      assert.equal(hcl.evaluate(c), 'd');
+      assert.equal(hcl.applyEdits(src, [hcl.replaceExpression(c, '"e"')]), src.replace('"d"', '"e"'));
+    });
+
+    it('reads tfvars.json files', () => {
+      const root = hcl.parse('{ "zone": "us-central1-a", "sizes": [1, 2] }', { json: true });
+      assert.equal(hcl.evaluate(hcl.getAttribute(root, 'zone').expr), 'us-central1-a');
+      assert.deepEqual(hcl.evaluate(hcl.getAttribute(root, 'sizes').expr), [1, 2]);
+    });
+
+    it('fails on unterminated comments', () => {
+      assert.throws(() => hcl.parse('a = 1\n/* open'), /Unterminated comment at line 2/);
+    });
+  });
+
+  describe('applyEdits', () => {
+    it('returns the source unchanged without edits', () => {
+      assert.equal(hcl.applyEdits(SRC, []), SRC);
+    });
+
+    it('replaces an expression and leaves every other byte as it was', () => {
+      const machineType = hcl.getAttribute(getInstance(hcl.parse(SRC)).body, 'machine_type').expr;
+      const edited = hcl.applyEdits(SRC, [hcl.replaceExpression(machineType, hcl.toHCL('e2-standard-2'))]);
+
+      assert.equal(edited.slice(0, machineType.start), SRC.slice(0, machineType.start));
+      assert.equal(edited.slice(machineType.start + '"e2-standard-2"'.length),
+        SRC.slice(machineType.end));
+      assert.equal(hcl.evaluate(hcl.getAttribute(getInstance(hcl.parse(edited)).body, 'machine_type').expr),
+        'e2-standard-2');
+    });
+
+    it('edits inside a heredoc attribute without touching the heredoc', () => {
+      const instance = getInstance(hcl.parse(SRC));
+      const name = hcl.getAttribute(instance.body, 'name');
+      const edited = hcl.applyEdits(SRC, [hcl.removeNode(SRC, name)]);
+
+      assert.equal(edited, SRC.replace('  name         = "web-1" // inline comment\n', ''));
+      assert.ok(edited.includes('    startup-script = <<-EOT\n      #!/bin/bash\n'));
+    });
+
+    it('removes a nested block with its lines', () => {
+      const [bootDisk] = hcl.getBlocks(getInstance(hcl.parse(SRC)).body, 'boot_disk');
+      const edited = hcl.applyEdits(SRC, [hcl.removeNode(SRC, bootDisk)]);
+
+      assert.ok(!edited.includes('boot_disk'));
+      assert.ok(edited.includes('  /* block comment */\n\n  metadata = {'));
+      hcl.parse(edited);
+    });
+
+    it('comments out a block', () => {
+      const [bootDisk] = hcl.getBlocks(getInstance(hcl.parse(SRC)).body, 'boot_disk');
+      const edited = hcl.applyEdits(SRC, [hcl.commentOutNode(SRC, bootDisk)]);
+
+      assert.ok(edited.includes('#   boot_disk {\n#     initialize_params {'));
+      assert.equal(hcl.getBlocks(getInstance(hcl.parse(edited)).body, 'boot_disk').length, 0);
+    });
+
+    it('rejects overlapping edits', () => {
+      assert.throws(() => hcl.applyEdits('abcdef', [
+        { start: 0, end: 3, text: 'x' },
+        { start: 2, end: 4, text: 'y' },
+      ]), /overlapping/);
+    });
+  });
+
+  describe('removeCollectionItem', () => {
+    const remove = (src, index) => {
+      const tuple = hcl.parse(src).items[0].expr;
+      return hcl.applyEdits(src, [hcl.removeCollectionItem(src, tuple, index)]);
+    };
+
+    it('removes elements of a single line tuple', () => {
+      assert.equal(remove('a = ["x", "y", "z"]\n', 0), 'a = ["y", "z"]\n');
+      assert.equal(remove('a = ["x", "y", "z"]\n', 1), 'a = ["x", "z"]\n');
+      assert.equal(remove('a = ["x", "y", "z"]\n', 2), 'a = ["x", "y"]\n');
+      assert.equal(remove('a = ["x"]\n', 0), 'a = []\n');
+    });
+
+    it('removes the line of an element of a multi-line tuple, with its comment', () => {
+      const src = 'a = [\n  "x", # first\n  "y",\n  "z"\n]\n';
+      assert.equal(remove(src, 0), 'a = [\n  "y",\n  "z"\n]\n');
+      assert.equal(remove(src, 2), 'a = [\n  "x", # first\n  "y",\n]\n');
+    });
+
+    it('removes an item of an object', () => {
+      const src = 'a = {\n  x = 1\n  y = 2\n}\n';
+      assert.equal(remove(src, 0), 'a = {\n  y = 2\n}\n');
+    });
+  });
+
+  describe('appendTupleItem', () => {
+    const append = (src, text) => {
+      const tuple = hcl.parse(src).items[0].expr;
+      return hcl.applyEdits(src, [hcl.appendTupleItem(src, tuple, text)]);
+    };
+
+    it('follows the layout of the tuple', () => {
+      assert.equal(append('a = []\n', '"x"'), 'a = ["x"]\n');
+      assert.equal(append('a = ["x"]\n', '"y"'), 'a = ["x", "y"]\n');
+      assert.equal(append('a = [\n  "x",\n]\n', '"y"'), 'a = [\n  "x",\n  "y",\n]\n');
+      assert.equal(append('a = [\n  "x"\n]\n', '"y"'), 'a = [\n  "x",\n  "y"\n]\n');
+    });
+  });
+
+  describe('insertAttributeAfter', () => {
+    const insert = (src, anchorName) => {
+      const { body } = hcl.parse(src).items[0];
+      const anchor = hcl.getAttribute(body, anchorName);
+      return hcl.applyEdits(src, hcl.insertAttributeAfter(src, body, anchor, 'desired_status', '"TERMINATED"'));
+    };
+
+    it('lines up the equals signs of the adjacent attributes', () => {
+      assert.equal(insert('r "a" {\n  name = "a"\n  machine_type = "e2"\n  zone = "z"\n}\n', 'machine_type'),
+        'r "a" {\n  name           = "a"\n  machine_type   = "e2"\n  desired_status = "TERMINATED"\n' +
+        '  zone           = "z"\n}\n');
+      assert.equal(insert('r "a" {\n  name                      = "a"\n  allow_stopping_for_update = true\n}\n', 'name'),
+        'r "a" {\n  name                      = "a"\n  desired_status            = "TERMINATED"\n' +
+        '  allow_stopping_for_update = true\n}\n');
+    });
+
+    it('leaves attributes after a blank line, comment or multi-line value alone', () => {
+      const src = 'r "a" {\n  tags = [\n    "a",\n  ]\n  name = "a"\n\n  zone = "z"\n  # c\n  id = 1\n}\n';
+      assert.equal(insert(src, 'name'),
+        'r "a" {\n  tags = [\n    "a",\n  ]\n  name           = "a"\n  desired_status = "TERMINATED"\n' +
+        '\n  zone = "z"\n  # c\n  id = 1\n}\n');
+      assert.equal(insert(src, 'tags'),
+        'r "a" {\n  tags = [\n    "a",\n  ]\n  desired_status = "TERMINATED"\n  name           = "a"\n' +
+        '\n  zone = "z"\n  # c\n  id = 1\n}\n');
+    });
+  });
+
+  describe('toHCL', () => {
+    it('escapes strings and template sequences', () => {
+      assert.equal(hcl.toHCL('a "b" ${c}'), '"a \\"b\\" $${c}"');
+      assert.equal(hcl.toHCL({ 'a-b': [1, true, null], 'c d': 'e' }), '{ a-b = [1, true, null], "c d" = "e" }');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { applyPolicy, limitChanges, loadPolicy } from '../policy.js';
+
+const handler = { type: 'vm-rightsizing' };
+const getTarget = ({ recommendationID }) => `target-${recommendationID}`;
+
+const resize = (recommendationID, size) => ({ recommendationID, size });
+
+describe('policy', () => {
+  describe('loadPolicy', () => {
+    let repoPath;
+    const writePolicy = async (contents) => {
+      repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-test-'));
+      await fs.outputFile(path.join(repoPath, '.recommender-policy.yaml'), contents);
+    };
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('reads the idle resource types to remove', async () => {
+      await writePolicy('removeIdleResources: [idle-disk, idle-address]\n');
+
+      assert.deepEqual(await loadPolicy(repoPath),
+        { maxChangesPerPullRequest: undefined, removeIdleResources: ['idle-disk', 'idle-address'], rules: [] });
+    });
+
+    it('removes no idle resources unless the policy says so', async () => {
+      await writePolicy('maxChangesPerPullRequest: 5\n');
+
+      assert.deepEqual((await loadPolicy(repoPath)).removeIdleResources, []);
+    });
+
+    it('rejects types that are not idle resource types', async () => {
+      await writePolicy('removeIdleResources: [vm-rightsizing]\n');
+
+      await assert.rejects(loadPolicy(repoPath),
+        /removeIdleResources has unknown types vm-rightsizing/);
+    });
+  });
+
+  describe('applyPolicy', () => {
+    it('skips machine types with fewer vCPUs than minVCPUs', () => {
+      const policy = { rules: [{ name: 'keep-two-vcpus', action: 'skip', minVCPUs: 2 }] };
+      const result = applyPolicy(policy, handler,
+        [resize('a', 'e2-standard-2'), resize('b', 'n1-standard-1'), resize('c', 'custom-1-2048')],
+        { getTarget });
+
+      assert.deepEqual(result.recommendations.map(({ recommendationID }) => recommendationID), ['a']);
+      assert.deepEqual(result.skipped.map(({ id, reason }) => [id, reason]), [
+        ['b', 'n1-standard-1 has fewer than 2 vCPUs'],
+        ['c', 'custom-1-2048 has fewer than 2 vCPUs'],
+      ]);
+    });
+
+    it('flags machine types whose vCPUs are unknown', () => {
+      const recommendations = [resize('a', 'm2-ultramem')];
+      const skip = applyPolicy({ rules: [{ name: 'keep-two-vcpus', action: 'skip', minVCPUs: 2 }] },
+        handler, recommendations, { getTarget });
+      const warn = applyPolicy({ rules: [{ name: 'keep-two-vcpus', action: 'warn', minVCPUs: 2 }] },
+        handler, recommendations, { getTarget });
+
+      assert.deepEqual(skip.recommendations, []);
+      assert.deepEqual(skip.skipped, [{
+        id: 'a',
+        target: 'target-a',
+        rule: 'keep-two-vcpus',
+        reason: 'the vCPUs of m2-ultramem are unknown',
+      }]);
+      assert.deepEqual(warn.recommendations, recommendations);
+      assert.deepEqual(warn.warnings.get('a'),
+        ['Policy rule keep-two-vcpus: the vCPUs of m2-ultramem are unknown']);
+    });
+
+    it('leaves the number of recommendations to limitChanges', () => {
+      const recommendations = ['a', 'b', 'c'].map((id) => resize(id, 'e2-standard-4'));
+      const result = applyPolicy({ maxChangesPerPullRequest: 1, rules: [] }, handler, recommendations,
+        { getTarget });
+
+      assert.deepEqual(result.recommendations, recommendations);
+      assert.deepEqual(result.skipped, []);
+    });
+  });
+
+  describe('limitChanges', () => {
+    it('keeps the first maxChangesPerPullRequest recommendations of a pull request', () => {
+      const policy = { maxChangesPerPullRequest: 2, rules: [] };
+      const group = ['a', 'b', 'c'].map((id) => resize(id, 'e2-standard-4'));
+
+      const result = limitChanges(policy, group, getTarget);
+
+      assert.deepEqual(result.recommendations, group.slice(0, 2));
+      assert.deepEqual(result.skipped, [{
+        id: 'c',
+        target: 'target-c',
+        rule: 'maxChangesPerPullRequest',
+        reason: 'more than 2 changes in the pull request',
+      }]);
+      assert.deepEqual(limitChanges(policy, group.slice(1), getTarget).skipped, []);
+    });
+
+    it('keeps everything without a limit or a policy', () => {
+      const group = [resize('a', 'e2-standard-4')];
+      assert.deepEqual(limitChanges({ rules: [] }, group, getTarget).recommendations, group);
+      assert.deepEqual(limitChanges(null, group, getTarget).recommendations, group);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import { google } from 'googleapis';
+
+/**
+ * A fake Recommender API. Each test sets the responses of each path, without
+ * the query string, as a list of { status, headers, json } that are used up
+ * in order. Unknown requests get a 404.
+ */
+let responses = {};
+let requests = [];
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+  const { status = 200, headers = {}, json = {} } =
+    (responses[url.pathname] || []).shift() || { status: 404, json: { error: { message: 'Not found' } } };
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(json));
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+process.env.RECOMMENDER_API_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.RECOMMENDER_MAX_RETRIES = '2';
+const recommenderClient = await import('../recommenderclient.js');
+const { filterIAMRecommendations, listRecommendations } = await import('../recommender.js');
+
+const RECOMMENDER = 'google.compute.instance.MachineTypeRecommender';
+const recommendationsPath = (parent, location = 'us-central1-a') =>
+  `/${parent}/locations/${location}/recommenders/${RECOMMENDER}/recommendations`;
+
+/**
+ * Builds an active IAM recommendation that removes a member from a role of
+ * a project, as the Recommender API returns it.
+ *
+ * @param {string} projectNumber The number of the project, in the name.
+ * @param {string} projectID The ID of the project, in the operations.
+ * @returns {Object} The recommendation.
+ */
+const iamRecommendation = (projectNumber, projectID) => {
+  const resource = `//cloudresourcemanager.googleapis.com/projects/${projectID}`;
+  const resourceType = 'cloudresourcemanager.googleapis.com/Project';
+  return {
+    name: `projects/${projectNumber}/locations/global/recommenders/google.iam.policy.Recommender/recommendations/r`,
+    etag: '"etag"',
+    stateInfo: { state: 'ACTIVE' },
+    content: {
+      operationGroups: [{
+        operations: [{
+          action: 'remove',
+          resource,
+          resourceType,
+          path: '/iamPolicy/bindings/*/members/*',
+          pathFilters: {
+            '/iamPolicy/bindings/*/role': 'roles/editor',
+            '/iamPolicy/bindings/*/members/*': 'user:a@example.com',
+          },
+        }, {
+          action: 'add',
+          resource,
+          resourceType,
+          path: '/iamPolicy/bindings/*/members/-',
+          value: 'user:a@example.com',
+          pathFilters: { '/iamPolicy/bindings/*/role': 'roles/viewer' },
+        }],
+      }],
+    },
+  };
+};
+
+describe('recommender', () => {
+  describe('filterIAMRecommendations', () => {
+    it('keeps the project ID and the project number of a project recommendation', () => {
+      const [recommendation] = filterIAMRecommendations([iamRecommendation('123456789', 'my-project')]);
+
+      assert.equal(recommendation.resourceKind, 'project');
+      assert.equal(recommendation.resourceID, 'my-project');
+      assert.equal(recommendation.project, '123456789');
+      assert.equal(recommendation.role, 'roles/editor');
+      assert.deepEqual(recommendation.adds, ['roles/viewer']);
+    });
+  });
+
+  describe('recommenderclient', () => {
+    const { getClient } = google.auth.GoogleAuth.prototype;
+    const { random } = Math;
+
+    beforeEach(() => {
+      responses = {};
+      requests = [];
+      google.auth.GoogleAuth.prototype.getClient = async () =>
+        ({ getAccessToken: async () => ({ token: 'token' }) });
+      // No waiting between attempts, unless the API asks for it
+      Math.random = () => 0;
+    });
+
+    afterEach(() => {
+      google.auth.GoogleAuth.prototype.getClient = getClient;
+      Math.random = random;
+    });
+
+    after(() => server.close());
+
+    it('retries a throttled call after the Retry-After delay', async () => {
+      const path = recommendationsPath('projects/p');
+      responses[path] = [
+        { status: 429, headers: { 'Retry-After': '1' }, json: { error: { message: 'Quota exceeded' } } },
+        { json: { recommendations: [{ name: 'r1' }] } },
+      ];
+
+      const started = Date.now();
+      const recommendations = await recommenderClient.listRecommendations(
+        'projects/p', 'us-central1-a', RECOMMENDER);
+
+      assert.deepEqual(recommendations, [{ name: 'r1' }]);
+      assert.equal(requests.length, 2);
+      assert.ok(Date.now() - started >= 1000);
+    });
+
+    it('gives up on a server error after MAX_RETRIES retries with growing waits', async function () {
+      this.timeout(5000);
+      const path = recommendationsPath('projects/p');
+      responses[path] = [1, 2, 3, 4].map(() => ({ status: 503, json: { error: { message: 'Unavailable' } } }));
+      // Half of the ceiling, which doubles from one second with each attempt
+      Math.random = () => 0.5;
+      const delays = [];
+      const { log } = console;
+      console.log = (message) => delays.push(Number(/ in (\d+)ms /.exec(message)[1]));
+
+      try {
+        await assert.rejects(recommenderClient.listRecommendations('projects/p', 'us-central1-a', RECOMMENDER),
+          (error) => error.response.status === 503);
+      } finally {
+        console.log = log;
+      }
+      assert.equal(requests.length, 3);
+      assert.deepEqual(delays, [500, 1000]);
+    });
+
+    it('does not retry a client error', async () => {
+      await assert.rejects(recommenderClient.listRecommendations('projects/p', 'us-central1-a', RECOMMENDER),
+        (error) => error.response.status === 404);
+      assert.equal(requests.length, 1);
+    });
+
+    it('joins the result pages and passes the filter', async () => {
+      const path = recommendationsPath('folders/1', 'global');
+      responses[path] = [
+        { json: { recommendations: [{ name: 'r1' }], nextPageToken: 'next' } },
+        { json: { recommendations: [{ name: 'r2' }] } },
+      ];
+      const filter = 'stateInfo.state = ACTIVE AND priority = P1';
+
+      const recommendations = await recommenderClient.listRecommendations(
+        'folders/1', 'global', RECOMMENDER, filter);
+
+      assert.deepEqual(recommendations, [{ name: 'r1' }, { name: 'r2' }]);
+      assert.deepEqual(requests.map(({ query }) => query),
+        [{ filter }, { filter, pageToken: 'next' }]);
+    });
+
+    it('reports a parent that fails without failing the others', async () => {
+      responses[recommendationsPath('projects/a')] = [{ json: { recommendations: [{ name: 'ra' }] } }];
+      responses[recommendationsPath('projects/b')] = [{ status: 403, json: { error: { message: 'Denied' } } }];
+      const handler = {
+        type: 'vm',
+        recommenderID: RECOMMENDER,
+        filter: (recommendations) => recommendations.map(({ name }) => ({ recommendationID: name })),
+      };
+
+      const { recommendations, failures } = await listRecommendations(
+        handler, ['projects/a', 'projects/b'], false, ['us-central1-a']);
+
+      assert.deepEqual(recommendations.map(({ recommendationID }) => recommendationID), ['ra']);
+      assert.deepEqual(failures, [{ parent: 'projects/b', location: 'us-central1-a', error: 'Denied' }]);
+    });
+  });
+});
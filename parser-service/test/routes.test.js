@@ -0,0 +1,497 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import esmock from 'esmock';
+
+process.env.TERRAFORM_STATE_BUCKET = process.env.TERRAFORM_STATE_BUCKET || 'state-bucket';
+
+/**
+ * Imports routes.js with some of the modules it uses replaced. Each mocked
+ * function is recorded in calls, by module and name, with its arguments.
+ *
+ * @param {Object} mocks The replaced functions by module, e.g. { db: { getPullRequest } }.
+ * @param {Object} [env] Environment variables to set while routes.js is loaded.
+ * @returns {Promise<Object>} { routes, calls }
+ */
+const loadRoutes = async (mocks, env = {}) => {
+  const calls = [];
+  const modules = Object.fromEntries(Object.entries(mocks).map(([module, functions]) => [
+    `../${module}.js`,
+    Object.fromEntries(Object.entries(functions).map(([name, fn]) => [name,
+      typeof fn !== 'function' ? fn : (...args) => {
+        calls.push({ module, name, args });
+        return fn(...args);
+      }])),
+  ]));
+
+  const previous = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, env);
+  try {
+    return { routes: await esmock('../routes.js', modules), calls };
+  } finally {
+    Object.entries(previous).forEach(([key, value]) =>
+      value === undefined ? delete process.env[key] : process.env[key] = value);
+  }
+};
+
+const callsTo = (calls, module, name) =>
+  calls.filter((call) => call.module === module && call.name === name).map(({ args }) => args);
+
+/**
+ * Calls a route with a request body and headers and collects its response.
+ *
+ * @param {Function} route The route.
+ * @param {Object} request { body, params, headers }
+ * @returns {Promise<Object>} { status, body }
+ */
+const call = async (route, { body = {}, params = {}, headers = {} }) => {
+  const response = { status: 200 };
+  const res = {
+    status: (status) => {
+      response.status = status;
+      return res;
+    },
+    sendStatus: (status) => {
+      response.status = status;
+      return res;
+    },
+    send: (data) => {
+      response.body = data;
+      return res;
+    },
+    json: (data) => {
+      response.body = data;
+      return res;
+    },
+    end: (data) => {
+      response.body = data;
+      return res;
+    },
+  };
+  await route({
+    body,
+    params,
+    rawBody: Buffer.from(JSON.stringify(body)),
+    get: (name) => headers[name],
+  }, res);
+  return response;
+};
+
+/**
+ * Recommendations of two projects and the Terraform files applying each of
+ * them changes. r4 changes no file, as IAM recommendations may not, and r5
+ * matches nothing in the Terraform state.
+ */
+const FILES = { r1: ['a.tf'], r2: ['a.tf', 'b.tf'], r3: ['c.tf'], r4: [] };
+const RECOMMENDATIONS = ['p1/r1', 'p1/r2', 'p2/r3', 'p2/r4', 'p2/r5'].map((path) => {
+  const [project, id] = path.split('/');
+  return {
+    recommendationID: `projects/${project}/locations/global/recommenders/r/recommendations/${id}`,
+    recommendationETAG: `"${id}"`,
+    target: `target-${id}`,
+  };
+});
+const shortID = (recommendationID) => recommendationID.split('/').pop();
+
+/**
+ * Imports routes.js with fakes of the Recommender API, the Terraform files,
+ * the clone of the repository, the source control provider and Firestore.
+ * Applying recommendations claims those of FILES with changes to their
+ * files, and what each commit holds is kept in commits.
+ *
+ * @param {Object} [options] { pullRequests, records, policy } with the open
+ *        pull requests of the provider, the Firestore records by number and
+ *        the policy of the repository.
+ * @returns {Promise<Object>} { routes, calls, commits }
+ */
+const loadApplyRoutes = async ({ pullRequests = [], records = {}, policy = null } = {}) => {
+  const commits = [];
+  let applied = [];
+  let number = 100;
+  const loaded = await loadRoutes({
+    handlers: {
+      getHandler: (type) => ({ type, title: 'Recommended changes' }),
+      getParents: () => ['projects/p1', 'projects/p2'],
+      getLocations: async () => ['global'],
+      getTarget: (handler, { target }) => target,
+    },
+    recommender: {
+      listRecommendations: async () => ({ recommendations: RECOMMENDATIONS, failures: [] }),
+      setRecommendationStatus: async () => {},
+    },
+    terraform: {
+      GIT_WORK_DIR_PATH: '/nonexistent',
+      applyRecommendations: async (handler, repoName, recommendations) => {
+        const claimed = recommendations.filter(({ recommendationID }) => FILES[shortID(recommendationID)]);
+        applied = claimed.flatMap(({ recommendationID }) => FILES[shortID(recommendationID)]);
+        return {
+          resources: claimed,
+          recommendationsToClaim: claimed.map(({ recommendationID, recommendationETAG }) => ({
+            id: recommendationID,
+            etag: recommendationETAG,
+            resource: `resource-${shortID(recommendationID)}`,
+            changes: FILES[shortID(recommendationID)].map((file) =>
+              ({ file, symbol: 'google_compute_instance.web.machine_type', from: 'n1-standard-4', to: 'e2-medium' })),
+            warnings: [],
+          })),
+        };
+      },
+    },
+    sourcecontrol: {
+      cloneRepository: async () => 'main',
+      resetRepository: async () => {
+        applied = [];
+      },
+      checkoutBranch: async () => true,
+      commitChanges: async (message, repoName, branch) => {
+        commits.push({ message, branch, files: applied });
+        return { branch, sha: `sha-${commits.length}` };
+      },
+      getDiff: async () => [...new Set(applied)].sort().map((file) => ({ file, diff: `diff of ${file}` })),
+      removeRepository: async () => {},
+    },
+    scm: {
+      getRepository: (name) => ({ provider: 'github', owner: 'acme', name, cloneURL: `git@github.com:acme/${name}.git` }),
+      listOpenPullRequests: async () => pullRequests,
+      createPullRequest: async () => ({ number: number++ }),
+      updatePullRequest: async () => {},
+      requestReviewers: async () => {},
+    },
+    db: {
+      getSuppressedTargets: async () => [],
+      getPullRequest: async (repoName, prNumber, { stub = false } = {}) =>
+        (records[prNumber] && Boolean(records[prNumber].stub) === stub ? records[prNumber] : null),
+      createPullRequest: async () => {},
+      updatePullRequest: async () => {},
+      toClaimRecords: (claims) => claims,
+    },
+    codeowners: {
+      getCodeOwners: async () => [],
+    },
+    policy: {
+      loadPolicy: async () => policy,
+    },
+  });
+  return { ...loaded, commits };
+};
+
+const recommendationsOf = (calls) => callsTo(calls, 'db', 'createPullRequest')
+  .map(([, , claims]) => claims.map(({ id }) => shortID(id)));
+
+describe('routes', () => {
+  describe('applyRecommendations', () => {
+    const apply = async (grouping) => {
+      const loaded = await loadApplyRoutes();
+      const response = await call(loaded.routes.applyRecommendations,
+        { params: { type: 'vm' }, body: { repo: 'infra', grouping } });
+      return { ...loaded, response };
+    };
+
+    it('opens a single pull request by default', async () => {
+      const { response, calls } = await apply(undefined);
+
+      assert.equal(response.status, 201);
+      assert.deepEqual(response.body.pullRequests, [100]);
+      assert.deepEqual(recommendationsOf(calls), [['r1', 'r2', 'r3', 'r4']]);
+    });
+
+    it('opens a pull request per project', async () => {
+      const { response, calls, commits } = await apply('per-project');
+
+      assert.deepEqual(response.body.pullRequests, [100, 101]);
+      assert.deepEqual(recommendationsOf(calls), [['r1', 'r2'], ['r3', 'r4']]);
+      assert.deepEqual(commits.map(({ message }) => message.split(' as on ')[0]), [
+        'Recommended changes for projects/p1',
+        'Recommended changes for projects/p2',
+      ]);
+      assert.deepEqual(commits.map(({ branch }) => branch.slice(-2)), ['-1', '-2']);
+    });
+
+    it('opens a pull request per recommendation that applies', async () => {
+      const { response, calls } = await apply('per-recommendation');
+
+      assert.deepEqual(response.body.pullRequests, [100, 101, 102, 103]);
+      assert.deepEqual(recommendationsOf(calls), [['r1'], ['r2'], ['r3'], ['r4']]);
+    });
+
+    it('opens pull requests that never change the same file', async () => {
+      const log = [];
+      const { log: consoleLog } = console;
+      console.log = (...args) => log.push(args.join(' '));
+      let result;
+      try {
+        result = await apply('per-file');
+      } finally {
+        console.log = consoleLog;
+      }
+      const { response, calls, commits } = result;
+
+      assert.deepEqual(recommendationsOf(calls), [['r1', 'r2'], ['r3'], ['r4']]);
+      assert.deepEqual(commits.map(({ message }) => message.split(' as on ')[0]), [
+        'Recommended changes for a.tf, b.tf',
+        'Recommended changes for c.tf',
+        'Recommended changes for resource-r4',
+      ]);
+      const files = commits.flatMap(({ files }) => [...new Set(files)]);
+      assert.equal(files.length, new Set(files).size);
+      assert.deepEqual(response.body.pullRequests, [100, 101, 102]);
+      // The dry run is undone before the first group is applied
+      const steps = calls.filter(({ name }) => ['applyRecommendations', 'resetRepository'].includes(name))
+        .map(({ name }) => name);
+      assert.deepEqual(steps.slice(0, 3), ['applyRecommendations', 'resetRepository', 'resetRepository']);
+      assert.ok(log.some((line) => line.includes(`Leaving ${RECOMMENDATIONS[4].recommendationID} out of ` +
+        'the pull requests: No matching resource found in the Terraform state')));
+    });
+  });
+
+  describe('updating an open pull request', () => {
+    const idOf = (id) => `projects/p1/locations/global/recommenders/r/recommendations/${id}`;
+    const openPullRequest = { number: 42, branch: 'recommender-changes-old', base: 'main' };
+    const record = (fields) => ({
+      recommendationIDs: [idOf('r1'), idOf('r9')],
+      recommendationEtags: ['"old-r1"', '"r9"'],
+      targets: ['target-r1', 'target-r9'],
+      claims: [{ id: idOf('r1'), target: 'target-r1' }, { id: idOf('r9'), target: 'target-r9' }],
+      ...fields,
+    });
+    const apply = async (records, body = {}) => {
+      const loaded = await loadApplyRoutes({ pullRequests: [openPullRequest], records });
+      const response = await call(loaded.routes.applyRecommendations,
+        { params: { type: 'vm' }, body: { repo: 'infra', ...body } });
+      return { ...loaded, response };
+    };
+
+    it('rebases the branch of the pull request and adds the changes to it', async () => {
+      const { calls, commits } = await apply({ 42: record() });
+
+      assert.deepEqual(callsTo(calls, 'sourcecontrol', 'checkoutBranch'),
+        [['infra', 'recommender-changes-old']]);
+      assert.deepEqual(commits.map(({ branch }) => branch), ['recommender-changes-old']);
+      assert.deepEqual(callsTo(calls, 'scm', 'createPullRequest'), []);
+      assert.deepEqual(callsTo(calls, 'db', 'createPullRequest'), []);
+      assert.equal(callsTo(calls, 'scm', 'updatePullRequest')[0][1], 42);
+
+      const [[repoName, number, fields]] = callsTo(calls, 'db', 'updatePullRequest');
+      assert.equal(repoName, 'infra');
+      assert.equal(number, 42);
+      assert.equal(fields.headSha, 'sha-1');
+      // r1 is claimed again with its new etag and r9 is kept from before
+      assert.deepEqual(fields.recommendationIDs.map(shortID), ['r1', 'r9', 'r2', 'r3', 'r4']);
+      assert.deepEqual(fields.recommendationEtags, ['"r1"', '"r9"', '"r2"', '"r3"', '"r4"']);
+      assert.deepEqual(fields.claims.map(({ id }) => shortID(id)), ['r9', 'r1', 'r2', 'r3', 'r4']);
+      assert.deepEqual(fields.targets, ['target-r9', 'target-r1', 'target-r2', 'target-r3', 'target-r4']);
+      assert.deepEqual(fields.claims[1].changes,
+        [{ file: 'a.tf', symbol: 'google_compute_instance.web.machine_type', from: 'n1-standard-4', to: 'e2-medium' }]);
+    });
+
+    it('finds the pull requests of stub runs in stub mode only', async () => {
+      const stubRecords = { 42: record({ stub: true }) };
+
+      const stub = await apply(stubRecords, { stub: true });
+      const live = await apply(stubRecords);
+
+      assert.deepEqual(callsTo(stub.calls, 'db', 'getPullRequest'), [['infra', 42, { stub: true }]]);
+      assert.deepEqual(stub.commits.map(({ branch }) => branch), ['recommender-changes-old']);
+      assert.equal(callsTo(stub.calls, 'db', 'updatePullRequest').length, 1);
+      assert.deepEqual(callsTo(live.calls, 'sourcecontrol', 'checkoutBranch'), []);
+      assert.equal(callsTo(live.calls, 'db', 'createPullRequest').length, 1);
+    });
+  });
+
+  describe('previewRecommendations', () => {
+    it('reports the diff and the skipped recommendations without side effects', async () => {
+      const policy = { rules: [{ name: 'keep-r3', action: 'skip', resources: ['target-r3'] }] };
+      const { routes, calls } = await loadApplyRoutes({ policy });
+
+      const response = await call(routes.previewRecommendations,
+        { params: { type: 'vm' }, body: { repo: 'infra' } });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.files, [
+        { file: 'a.tf', diff: 'diff of a.tf' },
+        { file: 'b.tf', diff: 'diff of b.tf' },
+      ]);
+      assert.deepEqual(response.body.applied.map(({ id }) => shortID(id)), ['r1', 'r2', 'r4']);
+      assert.deepEqual(response.body.skipped, [
+        { id: RECOMMENDATIONS[2].recommendationID, reason: 'Skipped by policy rule keep-r3: target-r3 matches target-r3' },
+        { id: RECOMMENDATIONS[4].recommendationID, reason: 'No matching resource found in the Terraform state' },
+      ]);
+      assert.match(response.body.description, /keep-r3/);
+
+      // The preview works in a scratch clone, which it removes
+      const [[, previewName]] = callsTo(calls, 'sourcecontrol', 'cloneRepository');
+      assert.match(previewName, /^infra-preview-\d+$/);
+      assert.deepEqual(callsTo(calls, 'sourcecontrol', 'removeRepository'), [[previewName]]);
+      const sideEffects = calls.filter(({ module, name }) => ({
+        sourcecontrol: ['commitChanges', 'checkoutBranch', 'resetRepository'],
+        scm: ['createPullRequest', 'updatePullRequest', 'requestReviewers'],
+        db: ['createPullRequest', 'updatePullRequest', 'suppressTargets'],
+        recommender: ['setRecommendationStatus'],
+      }[module] || []).includes(name));
+      assert.deepEqual(sideEffects, []);
+    });
+  });
+
+  describe('githubWebhook', () => {
+    const record = {
+      recommendationIDs: ['r1', 'r2'],
+      recommendationEtags: ['"e1"', '"e2"'],
+      targets: ['//compute.googleapis.com/projects/p/zones/z/instances/web'],
+    };
+    const event = {
+      action: 'closed',
+      pull_request: {
+        number: 7,
+        merged: false,
+        closed_at: '2024-05-01T10:00:00Z',
+        labels: [{ name: 'recommender' }, { name: 'wontfix' }],
+      },
+      repository: { name: 'infra', owner: { login: 'acme' } },
+      sender: { login: 'alice' },
+    };
+    const headers = { 'X-Hub-Signature-256': 'valid', 'X-GitHub-Event': 'pull_request' };
+
+    const loadWebhook = (env) => loadRoutes({
+      github: {
+        verifyWebhookSignature: (payload, signature) => signature === 'valid',
+        getClosingComment: async () => 'Not during the freeze',
+      },
+      db: {
+        getPullRequest: async (repoName, number) => (number === 7 ? record : null),
+        updatePullRequest: async () => {},
+        suppressTargets: async () => {},
+      },
+      recommender: {
+        setRecommendationStatus: async () => {},
+        getRecommendations: async () => {
+          throw new Error('The etags stored in Firestore are used');
+        },
+      },
+    }, env);
+
+    it('rejects a delivery with a wrong signature', async () => {
+      const { routes, calls } = await loadWebhook();
+
+      const response = await call(routes.githubWebhook,
+        { body: event, headers: { ...headers, 'X-Hub-Signature-256': 'forged' } });
+
+      assert.equal(response.status, 401);
+      assert.deepEqual(calls.filter(({ module }) => module !== 'github'), []);
+    });
+
+    it('dismisses with the stored etags and records the closer, comment and labels', async () => {
+      const { routes, calls } = await loadWebhook({ SUPPRESS_DISMISSED_TARGETS: 'true' });
+
+      const response = await call(routes.githubWebhook, { body: event, headers });
+
+      assert.equal(response.status, 201);
+      assert.deepEqual(callsTo(calls, 'recommender', 'setRecommendationStatus'), [[
+        [{ id: 'r1', etag: '"e1"' }, { id: 'r2', etag: '"e2"' }],
+        'markDismissed',
+      ]]);
+      assert.deepEqual(callsTo(calls, 'github', 'getClosingComment'),
+        [[{ owner: 'acme', name: 'infra' }, 7, 'alice', '2024-05-01T10:00:00Z']]);
+      assert.deepEqual(callsTo(calls, 'db', 'suppressTargets'), [['infra', record.targets]]);
+      assert.deepEqual(callsTo(calls, 'db', 'updatePullRequest'), [['infra', 7, {
+        status: 'Pull Request Closed',
+        closedBy: 'alice',
+        closedAt: '2024-05-01T10:00:00Z',
+        reason: 'Not during the freeze',
+        labels: ['recommender', 'wontfix'],
+        suppressed: record.targets,
+      }]]);
+    });
+
+    it('ignores merged pull requests and those the service did not open', async () => {
+      const { routes, calls } = await loadWebhook();
+
+      const merged = await call(routes.githubWebhook,
+        { body: { ...event, pull_request: { ...event.pull_request, merged: true } }, headers });
+      const unknown = await call(routes.githubWebhook,
+        { body: { ...event, pull_request: { ...event.pull_request, number: 8 } }, headers });
+
+      assert.equal(merged.status, 200);
+      assert.equal(unknown.status, 200);
+      assert.deepEqual(callsTo(calls, 'recommender', 'setRecommendationStatus'), []);
+      assert.deepEqual(callsTo(calls, 'db', 'updatePullRequest'), []);
+    });
+  });
+
+  describe('ci', () => {
+    const build = {
+      status: 'FAILURE',
+      logUrl: 'https://console.cloud.google.com/cloud-build/builds/b1',
+      substitutions: { COMMIT_SHA: 'abcdef1234567', REPO_NAME: 'infra' },
+    };
+    const message = { data: Buffer.from(JSON.stringify(build)).toString('base64') };
+
+    const loadCI = (revertCommit) => loadRoutes({
+      scm: {
+        getRepository: (name) => ({ name, cloneURL: `https://example.com/${name}.git` }),
+        getMergedPullRequests: async () => [7],
+        createPullRequest: async () => ({ number: 8 }),
+      },
+      db: {
+        getPullRequest: async () => ({ recommendationIDs: ['r1'] }),
+        updatePullRequest: async () => {},
+      },
+      recommender: {
+        getRecommendations: async (ids) => ids.map((name) => ({ name, etag: '"e"' })),
+        setRecommendationStatus: async () => {},
+      },
+      sourcecontrol: {
+        cloneRepository: async () => 'main',
+        revertCommit,
+        removeRepository: async () => {},
+      },
+    }, { REVERT_FAILED_BUILDS: 'true' });
+
+    it('reverts a failed build in a clone of its own and removes it', async () => {
+      const { routes, calls } = await loadCI(async () => 'recommender-revert-1');
+
+      const response = await call(routes.ci, { body: { message } });
+
+      assert.equal(response.status, 201);
+      const [[, revertName]] = callsTo(calls, 'sourcecontrol', 'cloneRepository');
+      assert.match(revertName, /^infra-revert-\d+$/);
+      assert.deepEqual(callsTo(calls, 'sourcecontrol', 'revertCommit'), [[revertName, 'abcdef1234567']]);
+      assert.deepEqual(callsTo(calls, 'sourcecontrol', 'removeRepository'), [[revertName]]);
+      assert.equal(callsTo(calls, 'scm', 'createPullRequest')[0][1], 'recommender-revert-1');
+      assert.equal(callsTo(calls, 'db', 'updatePullRequest')[0][2].revertBranch, 'recommender-revert-1');
+    });
+
+    it('records a revert that fails and still removes its clone', async () => {
+      const { routes, calls } = await loadCI(async () => {
+        throw new Error('could not revert abcdef1');
+      });
+
+      const response = await call(routes.ci, { body: { message } });
+
+      assert.equal(response.status, 201);
+      const [[, revertName]] = callsTo(calls, 'sourcecontrol', 'cloneRepository');
+      assert.deepEqual(callsTo(calls, 'sourcecontrol', 'removeRepository'), [[revertName]]);
+      assert.deepEqual(callsTo(calls, 'scm', 'createPullRequest'), []);
+      assert.deepEqual(callsTo(calls, 'db', 'updatePullRequest'), [['infra', 7, {
+        status: 'Build Failed',
+        buildStatus: 'FAILURE',
+        logUrl: build.logUrl,
+        revertBranch: null,
+        revertError: 'Error: could not revert abcdef1',
+      }]]);
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+
+/**
+ * A fake API server for the providers. Each test sets the responses, by
+ * '<method> <path>' with the query string, as a status and body or a function
+ * of the request body returning them. Unknown requests get a 404.
+ */
+let responses = {};
+let requests = [];
+const server = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', (chunk) => data += chunk);
+  req.on('end', () => {
+    const body = data ? JSON.parse(data) : undefined;
+    requests.push({ method: req.method, url: req.url, body });
+    const response = responses[`${req.method} ${req.url}`];
+    const { status = 200, headers = {}, json } =
+      typeof response === 'function' ? response(body) : response || { status: 404, json: {} };
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(json));
+  });
+});
+await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+const API_URL = `http://127.0.0.1:${server.address().port}`;
+
+process.env.GITHUB_API_URL = `${API_URL}/github`;
+process.env.GITLAB_API_URL = `${API_URL}/gitlab`;
+process.env.BITBUCKET_API_URL = `${API_URL}/bitbucket`;
+process.env.GITHUB_ACCOUNT = 'github.com:acme';
+process.env.GITLAB_ACCOUNT = 'gitlab.com:acme';
+process.env.BITBUCKET_ACCOUNT = 'bitbucket.org:acme';
+process.env.SCM_REPOSITORIES = 'network=gitlab,billing=bitbucket';
+const scm = await import('../scm.js');
+
+const OWNERS = ['@alice', '@acme/infra', 'bob@example.com'];
+
+/**
+ * Runs a function and collects what it logs.
+ *
+ * @param {Function} fn The function.
+ * @returns {Promise<Array<string>>} The logged lines.
+ */
+const captureLog = async (fn) => {
+  const lines = [];
+  const { log } = console;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = log;
+  }
+  return lines;
+};
+
+const calls = () => requests.map(({ method, url }) => `${method} ${url}`);
+
+describe('scm', () => {
+  beforeEach(() => {
+    responses = {};
+    requests = [];
+  });
+
+  after(() => server.close());
+
+  it('describes the repository of its provider', () => {
+    assert.deepEqual(scm.getRepository('network'), {
+      provider: 'gitlab',
+      host: 'gitlab.com',
+      owner: 'acme',
+      name: 'network',
+      cloneURL: 'git@gitlab.com:acme/network.git',
+    });
+    assert.equal(scm.getRepository('infra').provider, 'github');
+  });
+
+  describe('github', () => {
+    const repository = scm.getRepository('infra');
+
+    it('opens a pull request with labels, assignees and reviewers', async () => {
+      responses = {
+        'GET /github/repos/acme/infra': { json: { default_branch: 'main' } },
+        'POST /github/repos/acme/infra/pulls': { status: 201, json: { number: 7 } },
+        'POST /github/repos/acme/infra/issues/7/labels': { json: [] },
+        'POST /github/repos/acme/infra/issues/7/assignees': { status: 201, json: {} },
+        'POST /github/repos/acme/infra/pulls/7/requested_reviewers': { status: 201, json: {} },
+      };
+
+      let pullRequest;
+      const log = await captureLog(async () => {
+        pullRequest = await scm.createPullRequest(repository, 'recommendations-1', 'Title', 'Body',
+          { labels: ['recommender'], assignees: ['carol'], reviewers: OWNERS });
+      });
+
+      assert.equal(pullRequest.number, 7);
+      assert.deepEqual(calls(), Object.keys(responses));
+      assert.deepEqual(requests[1].body,
+        { title: 'Title', head: 'recommendations-1', base: 'main', body: 'Body' });
+      assert.deepEqual(requests[2].body, { labels: ['recommender'] });
+      assert.deepEqual(requests[3].body, { assignees: ['carol'] });
+      assert.deepEqual(requests[4].body, { reviewers: ['alice'], team_reviewers: ['infra'] });
+      assert.match(log.join('\n'), /leaving out bob@example.com/);
+    });
+
+    it('lists the open pull requests of a branch prefix', async () => {
+      responses = {
+        'GET /github/repos/acme/infra/pulls?state=open&per_page=100': {
+          json: [
+            { number: 1, head: { ref: 'recommendations-1' }, base: { ref: 'main' } },
+            { number: 2, head: { ref: 'feature' }, base: { ref: 'main' } },
+          ],
+        },
+      };
+
+      assert.deepEqual(await scm.listOpenPullRequests(repository, 'recommendations-'),
+        [{ number: 1, branch: 'recommendations-1', base: 'main' }]);
+    });
+
+    it('resolves a commit to its merged pull requests and parents', async () => {
+      responses = {
+        'GET /github/repos/acme/infra/commits/abc/pulls': {
+          json: [{ number: 1, merged_at: '2024-01-01T00:00:00Z' }, { number: 2, merged_at: null }],
+        },
+        'GET /github/repos/acme/infra/git/commits/abc': { json: { parents: [{ sha: 'p1' }, { sha: 'p2' }] } },
+      };
+
+      assert.deepEqual(await scm.getMergedPullRequests(repository, 'abc'), [1]);
+      assert.deepEqual(await scm.getParentCommits(repository, 'abc'), ['p1', 'p2']);
+    });
+  });
+
+  describe('gitlab', () => {
+    const repository = scm.getRepository('network');
+    const project = '/gitlab/projects/acme%2Fnetwork';
+
+    it('opens a merge request with labels, assignees and reviewers', async () => {
+      responses = {
+        [`GET ${project}`]: { json: { default_branch: 'main' } },
+        'GET /gitlab/users?username=carol': { json: [{ id: 3 }] },
+        [`POST ${project}/merge_requests`]: { status: 201, json: { iid: 5 } },
+        [`GET ${project}/merge_requests/5`]: { json: { reviewers: [{ id: 2 }] } },
+        'GET /gitlab/users?username=alice': { json: [{ id: 1 }] },
+        [`PUT ${project}/merge_requests/5`]: { json: {} },
+      };
+
+      let pullRequest;
+      const log = await captureLog(async () => {
+        pullRequest = await scm.createPullRequest(repository, 'recommendations-1', 'Title', 'Body',
+          { labels: ['recommender', 'iam'], assignees: ['@carol'], reviewers: OWNERS });
+      });
+
+      assert.equal(pullRequest.number, 5);
+      assert.deepEqual(requests.find(({ method }) => method === 'POST').body, {
+        source_branch: 'recommendations-1',
+        target_branch: 'main',
+        title: 'Title',
+        description: 'Body',
+        labels: 'recommender,iam',
+        assignee_ids: [3],
+      });
+      assert.deepEqual(requests.find(({ method }) => method === 'PUT').body, { reviewer_ids: [2, 1] });
+      assert.match(log.join('\n'), /leaving out @acme\/infra, bob@example.com/);
+    });
+
+    it('lists the open merge requests of every page', async () => {
+      const list = `GET ${project}/merge_requests?state=opened&per_page=100`;
+      responses = {
+        [`${list}&page=1`]: {
+          headers: { 'x-next-page': '2' },
+          json: [{ iid: 1, source_branch: 'recommendations-1', target_branch: 'main' }],
+        },
+        [`${list}&page=2`]: {
+          headers: { 'x-next-page': '' },
+          json: [{ iid: 2, source_branch: 'recommendations-2', target_branch: 'dev' }],
+        },
+      };
+
+      assert.deepEqual(await scm.listOpenPullRequests(repository, 'recommendations-'), [
+        { number: 1, branch: 'recommendations-1', base: 'main' },
+        { number: 2, branch: 'recommendations-2', base: 'dev' },
+      ]);
+    });
+
+    it('resolves a commit to its merged merge requests and parents', async () => {
+      responses = {
+        [`GET ${project}/repository/commits/abc/merge_requests?per_page=100&page=1`]: {
+          json: [{ iid: 1, state: 'merged' }, { iid: 2, state: 'opened' }],
+        },
+        [`GET ${project}/repository/commits/abc`]: { json: { parent_ids: ['p1'] } },
+      };
+
+      assert.deepEqual(await scm.getMergedPullRequests(repository, 'abc'), [1]);
+      assert.deepEqual(await scm.getParentCommits(repository, 'abc'), ['p1']);
+    });
+  });
+
+  describe('bitbucket', () => {
+    const repository = scm.getRepository('billing');
+    const repo = '/bitbucket/repositories/acme/billing';
+
+    it('opens a pull request with reviewers and warns about labels and assignees', async () => {
+      responses = {
+        [`GET ${repo}`]: { json: { mainbranch: { name: 'main' } } },
+        [`POST ${repo}/pullrequests`]: { status: 201, json: { id: 9 } },
+        'GET /bitbucket/workspaces/acme/members?pagelen=50': {
+          json: { values: [{ user: { nickname: 'alice', uuid: '{a}' } }, { user: { nickname: 'dan', uuid: '{d}' } }] },
+        },
+        [`GET ${repo}/pullrequests/9`]: { json: { title: 'Title', reviewers: [{ uuid: '{e}' }] } },
+        [`PUT ${repo}/pullrequests/9`]: { json: {} },
+      };
+
+      let pullRequest;
+      const log = await captureLog(async () => {
+        pullRequest = await scm.createPullRequest(repository, 'recommendations-1', 'Title', 'Body',
+          { labels: ['recommender'], assignees: ['carol'], reviewers: OWNERS });
+      });
+
+      assert.equal(pullRequest.number, 9);
+      assert.deepEqual(calls(), Object.keys(responses));
+      assert.deepEqual(requests[1].body, {
+        title: 'Title',
+        description: 'Body',
+        source: { branch: { name: 'recommendations-1' } },
+        destination: { branch: { name: 'main' } },
+      });
+      assert.deepEqual(requests[4].body, { title: 'Title', reviewers: [{ uuid: '{e}' }, { uuid: '{a}' }] });
+      assert.match(log.join('\n'), /without labels recommender and assignees carol/);
+      assert.match(log.join('\n'), /leaving out @acme\/infra, bob@example.com/);
+    });
+
+    it('lists the open pull requests of every page', async () => {
+      responses = {
+        [`GET ${repo}/pullrequests?state=OPEN&pagelen=50`]: {
+          json: {
+            values: [{ id: 1, source: { branch: { name: 'recommendations-1' } }, destination: { branch: { name: 'main' } } }],
+            next: `${API_URL}${repo}/pullrequests?state=OPEN&pagelen=50&page=2`,
+          },
+        },
+        [`GET ${repo}/pullrequests?state=OPEN&pagelen=50&page=2`]: {
+          json: {
+            values: [{ id: 2, source: { branch: { name: 'feature' } }, destination: { branch: { name: 'main' } } }],
+          },
+        },
+      };
+
+      assert.deepEqual(await scm.listOpenPullRequests(repository, 'recommendations-'),
+        [{ number: 1, branch: 'recommendations-1', base: 'main' }]);
+    });
+
+    it('resolves a commit to its merged pull requests and parents', async () => {
+      responses = {
+        [`GET ${repo}/commit/abc/pullrequests?pagelen=50`]: {
+          json: { values: [{ id: 1, state: 'MERGED' }, { id: 2, state: 'OPEN' }] },
+        },
+        [`GET ${repo}/commit/abc`]: { json: { parents: [{ hash: 'p1' }] } },
+      };
+
+      assert.deepEqual(await scm.getMergedPullRequests(repository, 'abc'), [1]);
+      assert.deepEqual(await scm.getParentCommits(repository, 'abc'), ['p1']);
+    });
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Copyright 2019 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+process.env.TERRAFORM_STATE_BUCKET = process.env.TERRAFORM_STATE_BUCKET || 'state-bucket';
+const terraform = await import('../terraform.js');
+const { Resource } = await import('@google-cloud/resource');
+
+const INSTANCE_ID = 'projects/p/zones/us-central1-a/instances/web';
+
+/**
+ * Writes the files of a Terraform repo to a new temporary directory.
+ *
+ * @param {Object} files The contents of each file, by path.
+ * @returns {Promise<string>} The path of the repo.
+ */
+const createRepo = async (files) => {
+  const repoPath = await fs.mkdtemp(path.join(os.tmpdir(), 'terraform-test-'));
+  await Promise.all(Object.entries(files).map(([file, contents]) =>
+    fs.outputFile(path.join(repoPath, file), contents)));
+  return repoPath;
+};
+
+const instanceState = (attributes = {}) => ({
+  resources: [{
+    mode: 'managed',
+    type: 'google_compute_instance',
+    name: 'web',
+    instances: [{ attributes: { id: INSTANCE_ID, machine_type: 'n1-standard-4', ...attributes } }],
+  }],
+});
+
+const resizeRecommendation = {
+  recommendationID: 'projects/1/locations/us-central1-a/recommenders/r/recommendations/a',
+  recommendationETAG: 'etag',
+  instanceID: `//compute.googleapis.com/${INSTANCE_ID}`,
+  size: 'e2-standard-2',
+};
+
+const resize = async (repoPath, state = instanceState()) => {
+  const resources = terraform.getVMResourcesByIdFromState(state, [resizeRecommendation]);
+  return terraform.findAndModifyInstances(repoPath, resources);
+};
+
+const backend = (prefix) =>
+  `terraform {\n  backend "gcs" {\n    bucket = "state-bucket"\n    prefix = "${prefix}"\n  }\n}\n`;
+const instance = 'resource "google_compute_instance" "web" {\n  machine_type = "n1-standard-4"\n}\n';
+
+const iamRecommendation = (role, member, adds = []) => ({
+  recommendationID: 'projects/123/locations/global/recommenders/google.iam.policy.Recommender/recommendations/i',
+  recommendationETAG: 'etag',
+  project: 'p',
+  resourceKind: 'project',
+  resourceID: 'p',
+  role,
+  member,
+  adds,
+});
+
+const iamState = (type, name, attributes) => ({
+  resources: [{ mode: 'managed', type, name, instances: [{ attributes: { project: 'p', ...attributes } }] }],
+});
+
+const idleRecommendation = (type, id, subtype) => ({
+  recommendationID: `projects/1/locations/us-central1-a/recommenders/r/recommendations/${type}`,
+  recommendationETAG: 'etag',
+  instanceID: `//compute.googleapis.com/${id}`,
+  subtype,
+  evidence: ['Idle for 30 days'],
+});
+
+const idleState = (type, name, id, instance = {}) => ({
+  resources: [{
+    mode: 'managed',
+    type,
+    name,
+    instances: [{ ...instance, attributes: { id, ...instance.attributes } }],
+  }],
+});
+
+const modifyIdle = async (repoPath, state, recommendation, options) => {
+  const [{ type }] = state.resources;
+  const resources = terraform.getResourcesByIdFromState(state, [recommendation], type);
+  const claims = await terraform.findAndModifyIdleResources(repoPath, resources, undefined, options);
+  return { claims, resources };
+};
+
+const DISK_ID = 'projects/p/zones/us-central1-a/disks/data';
+const ADDRESS_ID = 'projects/p/regions/us-central1/addresses/ip';
+const disk = 'resource "google_compute_disk" "data" {\n  name = "data"\n}\n';
+
+const modifyIAM = async (repoPath, state, recommendation) => {
+  const resources = await terraform.getIAMBindingsFromState(state, [recommendation], true);
+  return terraform.findAndModifyIAMRoleBindings(repoPath, resources);
+};
+
+describe('terraform', () => {
+  let repoPath;
+  afterEach(async () => {
+    await fs.remove(repoPath);
+  });
+
+  describe('root modules', () => {
+    it('edits the root module that stores its state where the state is read from', async () => {
+      repoPath = await createRepo({
+        'envs/dev/main.tf': backend('dev/state') + instance,
+        'envs/prod/main.tf': backend('terraform/state') + instance,
+      });
+
+      const [claim] = await resize(repoPath);
+
+      assert.equal(claim.changes[0].file, 'envs/prod/main.tf');
+      assert.ok((await fs.readFile(path.join(repoPath, 'envs/prod/main.tf'), 'utf8'))
+        .includes('"e2-standard-2"'));
+      assert.ok((await fs.readFile(path.join(repoPath, 'envs/dev/main.tf'), 'utf8'))
+        .includes('"n1-standard-4"'));
+    });
+
+    it('skips a resource that several root modules could declare', async () => {
+      repoPath = await createRepo({
+        'envs/dev/main.tf': instance,
+        'envs/prod/main.tf': instance,
+      });
+
+      assert.deepEqual(await resize(repoPath), []);
+      assert.ok((await fs.readFile(path.join(repoPath, 'envs/dev/main.tf'), 'utf8'))
+        .includes('"n1-standard-4"'));
+    });
+  });
+
+  describe('resize', () => {
+    it('leaves a size that is the key of a for_each entry unchanged', async () => {
+      const main = 'resource "google_compute_instance" "web" {\n' +
+        '  for_each     = { "n1-standard-4" = "web" }\n  machine_type = each.key\n}\n';
+      repoPath = await createRepo({ 'main.tf': main });
+      const state = instanceState();
+      state.resources[0].instances[0].index_key = 'n1-standard-4';
+
+      assert.deepEqual(await resize(repoPath, state), []);
+      assert.equal(await fs.readFile(path.join(repoPath, 'main.tf'), 'utf8'), main);
+    });
+  });
+
+  describe('idle resources', () => {
+    const readMain = () => fs.readFile(path.join(repoPath, 'main.tf'), 'utf8');
+
+    it('stops an instance by adding desired_status below machine_type', async () => {
+      repoPath = await createRepo({
+        'main.tf': 'resource "google_compute_instance" "web" {\n' +
+          '  machine_type = "n1-standard-4"\n  zone = "us-central1-a"\n}\n',
+      });
+
+      const { claims } = await modifyIdle(repoPath,
+        idleState('google_compute_instance', 'web', INSTANCE_ID),
+        idleRecommendation('vm', INSTANCE_ID));
+
+      assert.deepEqual(claims, [{
+        id: idleRecommendation('vm').recommendationID,
+        etag: 'etag',
+        changes: [{
+          file: 'main.tf',
+          symbol: 'google_compute_instance.web.desired_status',
+          from: 'RUNNING',
+          to: 'TERMINATED',
+        }],
+        warnings: [],
+        evidence: ['google_compute_instance.web: Idle for 30 days'],
+      }]);
+      assert.equal(await readMain(), 'resource "google_compute_instance" "web" {\n' +
+        '  machine_type   = "n1-standard-4"\n  desired_status = "TERMINATED"\n' +
+        '  zone           = "us-central1-a"\n}\n');
+    });
+
+    it('refuses to stop one instance of several created with count', async () => {
+      const main = 'resource "google_compute_instance" "web" {\n' +
+        '  count        = 2\n  machine_type = "n1-standard-4"\n}\n';
+      repoPath = await createRepo({ 'main.tf': main });
+
+      const { claims, resources } = await modifyIdle(repoPath,
+        idleState('google_compute_instance', 'web', INSTANCE_ID, { index_key: 1 }),
+        idleRecommendation('vm', INSTANCE_ID));
+
+      assert.deepEqual(claims, []);
+      assert.equal(resources[0].skipReason,
+        'Could not add desired_status to google_compute_instance.web[1] alone');
+      assert.equal(await readMain(), main);
+    });
+
+    it('refuses to stop one instance of several created with for_each', async () => {
+      const main = 'resource "google_compute_instance" "web" {\n' +
+        '  for_each       = toset(["a", "b"])\n  machine_type   = "n1-standard-4"\n' +
+        '  desired_status = "RUNNING"\n}\n';
+      repoPath = await createRepo({ 'main.tf': main });
+
+      const { claims, resources } = await modifyIdle(repoPath,
+        idleState('google_compute_instance', 'web', INSTANCE_ID, { index_key: 'a' }),
+        idleRecommendation('vm', INSTANCE_ID));
+
+      assert.deepEqual(claims, []);
+      assert.equal(resources[0].skipReason,
+        'Could not set desired_status of google_compute_instance.web["a"] alone');
+      assert.equal(await readMain(), main);
+    });
+
+    it('comments out a disk unless the policy removes idle resources', async () => {
+      repoPath = await createRepo({ 'main.tf': disk });
+      const state = idleState('google_compute_disk', 'data', DISK_ID);
+
+      const { claims } = await modifyIdle(repoPath, state, idleRecommendation('disk', DISK_ID));
+
+      assert.deepEqual(claims[0].changes,
+        [{ file: 'main.tf', symbol: 'google_compute_disk.data', commentedOut: true }]);
+      assert.equal(await readMain(),
+        '# resource "google_compute_disk" "data" {\n#   name = "data"\n# }\n');
+
+      await fs.outputFile(path.join(repoPath, 'main.tf'), disk);
+      const removed = await modifyIdle(repoPath, state, idleRecommendation('disk', DISK_ID),
+        { removeIdleResources: true });
+
+      assert.deepEqual(removed.claims[0].changes,
+        [{ file: 'main.tf', symbol: 'google_compute_disk.data', removed: true }]);
+      assert.ok(!(await readMain()).includes('google_compute_disk'));
+    });
+
+    it('leaves one address of several created with count', async () => {
+      const main = 'resource "google_compute_address" "ip" {\n  count = 2\n  name  = "ip"\n}\n';
+      repoPath = await createRepo({ 'main.tf': main });
+
+      const { claims, resources } = await modifyIdle(repoPath,
+        idleState('google_compute_address', 'ip', ADDRESS_ID, { index_key: 0 }),
+        idleRecommendation('address', ADDRESS_ID), { removeIdleResources: true });
+
+      assert.deepEqual(claims, []);
+      assert.equal(resources[0].skipReason, 'Could not remove google_compute_address.ip[0] alone');
+      assert.equal(await readMain(), main);
+    });
+
+    it('warns when a removed resource is still referenced', async () => {
+      repoPath = await createRepo({
+        'main.tf': 'resource "google_compute_address" "ip" {\n  name = "ip"\n}\n\n' +
+          'output "ip" {\n  value = google_compute_address.ip.address\n}\n',
+      });
+
+      const { claims } = await modifyIdle(repoPath,
+        idleState('google_compute_address', 'ip', ADDRESS_ID),
+        idleRecommendation('address', ADDRESS_ID));
+
+      assert.deepEqual(claims[0].warnings,
+        ['google_compute_address.ip is still referenced by output.ip']);
+    });
+
+    it('warns to take a snapshot of a disk before deleting it', async () => {
+      repoPath = await createRepo({ 'main.tf': disk });
+
+      const { claims } = await modifyIdle(repoPath,
+        idleState('google_compute_disk', 'data', DISK_ID),
+        idleRecommendation('disk', DISK_ID, 'SNAPSHOT_AND_DELETE_DISK'));
+
+      assert.deepEqual(claims[0].warnings,
+        ['The recommendation is to take a snapshot of google_compute_disk.data before deleting it']);
+    });
+  });
+
+  describe('IAM', () => {
+    it('reports the member resource it removes', async () => {
+      repoPath = await createRepo({
+        'iam.tf': 'resource "google_project_iam_member" "editor" {\n  project = "p"\n' +
+          '  role    = "roles/editor"\n  member  = "user:a@example.com"\n}\n',
+      });
+
+      const [claim] = await modifyIAM(repoPath, iamState('google_project_iam_member', 'editor',
+        { role: 'roles/editor', member: 'user:a@example.com' }),
+      iamRecommendation('roles/editor', 'user:a@example.com'));
+
+      assert.equal(claim.resource, 'google_project_iam_member.editor');
+      assert.deepEqual(claim.changes,
+        [{ file: 'iam.tf', symbol: 'google_project_iam_member.editor', removed: true }]);
+      assert.equal(await fs.readFile(path.join(repoPath, 'iam.tf'), 'utf8'), '');
+    });
+
+    it('matches a project recommendation by project number outside stub mode', async () => {
+      const { project } = Resource.prototype;
+      Resource.prototype.project = () =>
+        ({ get: async () => [{ metadata: { projectNumber: '123456789' } }] });
+      const state = iamState('google_project_iam_member', 'editor',
+        { project: 'my-project', role: 'roles/editor', member: 'user:a@example.com' });
+      const recommendation = { ...iamRecommendation('roles/editor', 'user:a@example.com'), project: '123456789' };
+
+      try {
+        const byNumber = await terraform.getIAMBindingsFromState(state,
+          [{ ...recommendation, resourceID: undefined }], false);
+        const byID = await terraform.getIAMBindingsFromState(state,
+          [{ ...recommendation, resourceID: 'my-project' }], false);
+
+        assert.deepEqual(byNumber.map(({ resourceAddress }) => resourceAddress),
+          ['google_project_iam_member.editor']);
+        assert.deepEqual(byID.map(({ resourceAddress }) => resourceAddress),
+          ['google_project_iam_member.editor']);
+      } finally {
+        Resource.prototype.project = project;
+      }
+    });
+
+    it('reports the role it swaps on a member resource', async () => {
+      repoPath = await createRepo({
+        'iam.tf': 'resource "google_project_iam_member" "editor" {\n  project = "p"\n' +
+          '  role    = "roles/editor"\n  member  = "user:a@example.com"\n}\n',
+      });
+
+      const [claim] = await modifyIAM(repoPath, iamState('google_project_iam_member', 'editor',
+        { role: 'roles/editor', member: 'user:a@example.com' }),
+      iamRecommendation('roles/editor', 'user:a@example.com', ['roles/viewer']));
+
+      assert.deepEqual(claim.changes, [{
+        file: 'iam.tf',
+        symbol: 'google_project_iam_member.editor.role',
+        from: 'roles/editor',
+        to: 'roles/viewer',
+      }]);
+    });
+
+    it('reports the member it removes from a binding and the bindings it adds', async () => {
+      repoPath = await createRepo({
+        'iam/bindings.tf': 'resource "google_project_iam_binding" "editors" {\n  project = "p"\n' +
+          '  role    = "roles/editor"\n  members = ["user:a@example.com", "user:b@example.com"]\n}\n',
+      });
+
+      const [claim] = await modifyIAM(repoPath, iamState('google_project_iam_binding', 'editors',
+        { role: 'roles/editor', members: ['user:a@example.com', 'user:b@example.com'] }),
+      iamRecommendation('roles/editor', 'user:a@example.com', ['roles/viewer']));
+
+      assert.deepEqual(claim.changes, [
+        {
+          file: 'iam/bindings.tf',
+          symbol: 'google_project_iam_binding.editors.members["user:a@example.com"]',
+          removed: true,
+        },
+        { file: 'iam/bindings.tf', symbol: 'google_project_iam_binding.editors_viewer', added: true },
+      ]);
+    });
+
+    it('reports the bindings it changes in a policy', async () => {
+      repoPath = await createRepo({
+        'policy.tf': 'data "google_iam_policy" "admin" {\n  binding {\n    role    = "roles/editor"\n' +
+          '    members = ["user:a@example.com", "user:b@example.com"]\n  }\n}\n\n' +
+          'resource "google_project_iam_policy" "project" {\n  project     = "p"\n' +
+          '  policy_data = data.google_iam_policy.admin.policy_data\n}\n',
+      });
+
+      const [claim] = await modifyIAM(repoPath, iamState('google_project_iam_policy', 'project', {
+        policy_data: JSON.stringify({
+          bindings: [{ role: 'roles/editor', members: ['user:a@example.com', 'user:b@example.com'] }],
+        }),
+      }), iamRecommendation('roles/editor', 'user:a@example.com', ['roles/viewer']));
+
+      assert.deepEqual(claim.changes, [
+        {
+          file: 'policy.tf',
+          symbol: 'data.google_iam_policy.admin.binding["roles/editor"].members["user:a@example.com"]',
+          removed: true,
+        },
+        { file: 'policy.tf', symbol: 'data.google_iam_policy.admin.binding["roles/viewer"]', added: true },
+      ]);
+    });
+  });
+});